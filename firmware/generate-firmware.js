@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+// generate-firmware.js — ESP32/Arduino firmware generator for the Word Clock
+// Emits wordclock/wordclock_layout.h (LED chain mapping, word table and
+// minute/hour rules from the language pack) and wordclock/wordclock.ino
+// (WiFi + NTP + FastLED sketch). Before writing, the emitted C logic is
+// compiled on this machine and checked against lib/phrasing.js for all
+// 1440 minutes, so the physical clock can't drift from the simulator.
+// No dependencies required, but the check needs a host C compiler (cc, gcc
+// or clang); without one the run fails unless --no-verify is given.
+//
+// Usage:
+//   node generate-firmware.js [--lang sv] [--order snake|zigzag|columns]
+//                             [--start top-left|top-right|bottom-left|bottom-right]
+//                             [--dots start|end|<n>] [--pin 13] [--color ffd78a]
+//                             [--no-verify]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const layout = require('../lib/layout');
+const phrasing = require('../lib/phrasing');
+const wiring = require('../lib/wiring');
+const output = require('../lib/output');
+
+// ============================================================
+// PARAMETERS
+// ============================================================
+const DEFAULTS = {
+  lang: phrasing.DEFAULT_LANGUAGE,
+  order: 'snake',     // matches the backplate print: row 0 left→right,
+  start: 'top-left',  // row 1 right→left, etc.
+  dots: 'end',        // corner dots after the 110 grid LEDs
+  pin: 13,            // ESP32 data pin
+  color: 'ffd78a',    // Warm White theme
+};
+
+const OUT_DIR = path.join(__dirname, 'wordclock');
+
+// ESP32 GPIOs that can drive the data line: 6–11 belong to the flash chip,
+// 20, 24 and 28–31 don't exist and 34–39 are inputs only
+const OUTPUT_PINS = [0, 1, 2, 3, 4, 5, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 23, 25, 26, 27, 32, 33];
+
+// ============================================================
+// C HELPERS
+// ============================================================
+
+// C identifiers are ASCII: 'ÄR' → W_AR, 'FÜNF_MIN' → W_FUNF_MIN
+function wordIdent(key) {
+  const ascii = key
+    .replace(/[ÅÄÆ]/g, m => (m === 'Æ' ? 'AE' : 'A'))
+    .replace(/[ÖØ]/g, 'O')
+    .replace(/Ü/g, 'U')
+    .replace(/ß/g, 'SS');
+  return 'W_' + ascii.replace(/[^A-Z0-9_]/g, '_');
+}
+
+function cArray(values, perLine = 16) {
+  const lines = [];
+  for (let i = 0; i < values.length; i += perLine)
+    lines.push('  ' + values.slice(i, i + perLine).join(', '));
+  return lines.join(',\n');
+}
+
+// ============================================================
+// HEADER GENERATOR
+// ============================================================
+
+function generateHeader(pack, map) {
+  const keys = Object.keys(pack.words);
+  const idents = keys.map(wordIdent);
+  if (new Set(idents).size !== idents.length) throw new Error(`Word names collide as C identifiers: ${idents.join(', ')}`);
+  const id = Object.fromEntries(keys.map((k, i) => [k, idents[i]]));
+  const ledType = map.ledCount > 255 ? 'uint16_t' : 'uint8_t';
+
+  const maxMinute = Math.max(1, ...pack.minutes.map(m => m.words.length));
+  const maxAfter = Math.max(1, ...pack.minutes.map(m => (m.after || []).length));
+  const padded = (words, n) => [...words.map(w => id[w]), ...new Array(n - words.length).fill('WC_NONE')];
+
+  return `// wordclock_layout.h — generated by firmware/generate-firmware.js, do not edit
+// Language: ${pack.name} (${pack.code}), ${pack.cols}×${pack.rows} grid
+// Chain: ${map.order} from ${map.start}, corner dots at LED ${map.dotToLed[0]}–${map.dotToLed[3]}
+#ifndef WORDCLOCK_LAYOUT_H
+#define WORDCLOCK_LAYOUT_H
+
+#include <stdint.h>
+#include <string.h>
+
+#define WC_COLS ${pack.cols}
+#define WC_ROWS ${pack.rows}
+#define WC_LED_COUNT ${map.ledCount}
+#define WC_NEXT_HOUR_FROM ${pack.nextHourFrom}
+#define WC_NONE 0xFF
+
+typedef ${ledType} wc_led_t;
+
+// Grid cell (row-major) → LED chain index
+static const wc_led_t WC_CELL_TO_LED[WC_COLS * WC_ROWS] = {
+${cArray(map.cellToLed)}
+};
+
+// Corner dots (top-left, top-right, bottom-right, bottom-left) → LED chain index
+static const wc_led_t WC_DOT_TO_LED[4] = { ${map.dotToLed.join(', ')} };
+
+// ============================================================
+// WORDS (first cell + length)
+// ============================================================
+enum {
+${keys.map(k => `  ${id[k]},${' '.repeat(Math.max(1, 14 - id[k].length))}// ${k}`).join('\n')}
+  WC_WORD_COUNT
+};
+
+static const uint16_t WC_WORD_START[WC_WORD_COUNT] = { ${keys.map(k => pack.words[k][0]).join(', ')} };
+static const uint8_t WC_WORD_LEN[WC_WORD_COUNT] = { ${keys.map(k => pack.words[k].length).join(', ')} };
+
+// ============================================================
+// TIME RULES
+// ============================================================
+static const uint8_t WC_PREFIX[] = { ${pack.prefix.map(w => id[w]).join(', ')} };
+
+// Minute words per 5-minute block, WC_NONE-padded
+static const uint8_t WC_MINUTE_WORDS[12][${maxMinute}] = {
+${pack.minutes.map((m, i) => `  { ${padded(m.words, maxMinute).join(', ')} }, // :${String(i * 5).padStart(2, '0')}`).join('\n')}
+};
+
+// Words after the hour (e.g. UHR, OCLOCK), WC_NONE-padded
+static const uint8_t WC_MINUTE_AFTER[12][${maxAfter}] = {
+${pack.minutes.map(m => `  { ${padded(m.after || [], maxAfter).join(', ')} },`).join('\n')}
+};
+
+static const uint8_t WC_HOUR_WORDS[12] = { ${pack.hours.map(w => id[w]).join(', ')} };
+static const uint8_t WC_FULL_HOUR_WORDS[12] = { ${(pack.fullHours || pack.hours).map(w => id[w]).join(', ')} };
+
+// ============================================================
+// TIME LOGIC (mirrors lib/phrasing.js)
+// ============================================================
+static void wc_light_word(uint8_t word, uint8_t *lit) {
+  uint8_t i;
+  if (word == WC_NONE) return;
+  for (i = 0; i < WC_WORD_LEN[word]; i++)
+    lit[WC_CELL_TO_LED[WC_WORD_START[word] + i]] = 1;
+}
+
+// Set lit[led] = 1 for every LED that is on at hour:minute (lit has WC_LED_COUNT entries)
+static void wc_time_leds(uint8_t hour, uint8_t minute, uint8_t *lit) {
+  uint8_t mi = minute / 5;
+  uint8_t hi = (hour + (minute >= WC_NEXT_HOUR_FROM ? 1 : 0)) % 12;
+  uint8_t i;
+  memset(lit, 0, WC_LED_COUNT);
+  for (i = 0; i < sizeof(WC_PREFIX); i++) wc_light_word(WC_PREFIX[i], lit);
+  for (i = 0; i < ${maxMinute}; i++) wc_light_word(WC_MINUTE_WORDS[mi][i], lit);
+  wc_light_word(mi == 0 ? WC_FULL_HOUR_WORDS[hi] : WC_HOUR_WORDS[hi], lit);
+  for (i = 0; i < ${maxAfter}; i++) wc_light_word(WC_MINUTE_AFTER[mi][i], lit);
+  for (i = 0; i < minute % 5; i++) lit[WC_DOT_TO_LED[i]] = 1;
+}
+
+#endif
+`;
+}
+
+// ============================================================
+// SKETCH GENERATOR
+// ============================================================
+
+function generateSketch(pack, options) {
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(options.color.slice(i, i + 2), 16));
+  return `// wordclock.ino — generated by firmware/generate-firmware.js
+// ESP32 + ${pack.cols * pack.rows + 4}× WS2812B word clock (${pack.name}).
+// Requires the FastLED library. Set WIFI_SSID/WIFI_PASS and TZ_INFO below.
+// Frames sent by the simulator over USB serial (lib/output.js) take over the
+// panel until none has arrived for REMOTE_HOLD_MS.
+
+#include <WiFi.h>
+#include <time.h>
+#include <FastLED.h>
+#include "wordclock_layout.h"
+
+#define LED_PIN     ${options.pin}
+#define BRIGHTNESS  64
+#define FRAME_BAUD  ${output.BAUD_RATE}
+#define REMOTE_HOLD_MS 10000
+
+const char *WIFI_SSID = "your-ssid";
+const char *WIFI_PASS = "your-password";
+const char *TZ_INFO   = "CET-1CEST,M3.5.0,M10.5.0/3"; // Europe/Stockholm
+const char *NTP_HOST  = "pool.ntp.org";
+
+const CRGB COLOR_ON = CRGB(${r}, ${g}, ${b});
+
+CRGB leds[WC_LED_COUNT];
+uint8_t lit[WC_LED_COUNT];
+int lastMinute = -1;
+
+// Simulator frame: 'W' 'C', LED count (big-endian), then R G B per LED
+uint8_t frame[${output.HEADER_BYTES} + 3 * WC_LED_COUNT];
+size_t frameAt = 0;
+unsigned long remoteUntil = 0;
+
+bool readFrame() {
+  while (Serial.available()) {
+    uint8_t b = Serial.read();
+    if (frameAt < 2 && b != "WC"[frameAt]) { frameAt = b == 'W' ? 1 : 0; continue; }
+    frame[frameAt++] = b;
+    if (frameAt == 4 && ((frame[2] << 8) | frame[3]) != WC_LED_COUNT) { frameAt = 0; continue; }
+    if (frameAt == sizeof(frame)) { frameAt = 0; return true; }
+  }
+  return false;
+}
+
+void setup() {
+  Serial.begin(FRAME_BAUD);
+  FastLED.addLeds<WS2812B, LED_PIN, GRB>(leds, WC_LED_COUNT);
+  FastLED.setBrightness(BRIGHTNESS);
+  FastLED.clear(true);
+
+  WiFi.begin(WIFI_SSID, WIFI_PASS);
+  configTzTime(TZ_INFO, NTP_HOST);
+}
+
+void loop() {
+  if (readFrame()) {
+    for (int i = 0; i < WC_LED_COUNT; i++) {
+      const uint8_t *rgb = frame + ${output.HEADER_BYTES} + 3 * i;
+      leds[i] = CRGB(rgb[0], rgb[1], rgb[2]);
+    }
+    FastLED.show();
+    remoteUntil = millis() + REMOTE_HOLD_MS;
+    lastMinute = -1; // redraw the time once the simulator lets go
+  }
+
+  struct tm now;
+  if ((long)(millis() - remoteUntil) >= 0 && getLocalTime(&now, 0) && now.tm_min != lastMinute) {
+    lastMinute = now.tm_min;
+    wc_time_leds(now.tm_hour, now.tm_min, lit);
+    for (int i = 0; i < WC_LED_COUNT; i++) leds[i] = lit[i] ? COLOR_ON : CRGB::Black;
+    FastLED.show();
+  }
+  delay(2);
+}
+`;
+}
+
+// ============================================================
+// VERIFICATION AGAINST lib/phrasing.js
+// ============================================================
+
+// Expected "HH:MM led,led,…" line per minute, straight from the JS logic
+function expectedFrames(pack, map) {
+  const lines = [];
+  for (let hour = 0; hour < 24; hour++) {
+    for (let minute = 0; minute < 60; minute++) {
+      const leds = phrasing.getActiveIndices(pack, hour, minute).map(i => map.cellToLed[i]);
+      for (let d = 0; d < phrasing.getCornerDots(minute); d++) leds.push(map.dotToLed[d]);
+      const sorted = [...new Set(leds)].sort((a, b) => a - b);
+      lines.push(`${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')} ${sorted.join(',')}`);
+    }
+  }
+  return lines;
+}
+
+const HARNESS = `#include <stdio.h>
+#include "wordclock_layout.h"
+int main(void) {
+  uint8_t lit[WC_LED_COUNT];
+  int h, m, i, first;
+  for (h = 0; h < 24; h++) for (m = 0; m < 60; m++) {
+    wc_time_leds((uint8_t)h, (uint8_t)m, lit);
+    printf("%02d:%02d ", h, m);
+    for (i = 0, first = 1; i < WC_LED_COUNT; i++) if (lit[i]) { printf(first ? "%d" : ",%d", i); first = 0; }
+    printf("\\n");
+  }
+  return 0;
+}
+`;
+
+// Compile header + harness with the host C compiler and diff all 1440 minutes.
+// Returns { checked: false } when no compiler is available.
+function verifyHeader(header, expected) {
+  const compiler = ['cc', 'gcc', 'clang'].find(c => spawnSync(c, ['--version']).status === 0);
+  if (!compiler) return { checked: false };
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wordclock-fw-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'wordclock_layout.h'), header);
+    fs.writeFileSync(path.join(dir, 'harness.c'), HARNESS);
+    const exe = path.join(dir, 'harness');
+    const build = spawnSync(compiler, ['-std=c99', '-Wall', '-Werror', '-o', exe, path.join(dir, 'harness.c')], { encoding: 'utf-8' });
+    if (build.status !== 0) throw new Error(`Generated header does not compile:\n${build.stderr}`);
+    const run = spawnSync(exe, [], { encoding: 'utf-8' });
+    const actual = run.stdout.trim().split('\n');
+    const mismatches = expected.filter((line, i) => actual[i] !== line);
+    return { checked: true, compiler, mismatches, actual };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i < 0) return DEFAULTS[name];
+  const value = process.argv[i + 1];
+  if (value === undefined || value.startsWith('--')) throw new Error(`--${name} needs a value`);
+  return value;
+}
+
+// '13' → 13, for a GPIO that can drive the LED data line
+function parsePin(text) {
+  const pin = /^\d+$/.test(String(text)) ? Number(text) : NaN;
+  if (!OUTPUT_PINS.includes(pin)) throw new Error(`--pin must be an ESP32 output GPIO (${OUTPUT_PINS.join(', ')}), got "${text}"`);
+  return pin;
+}
+
+function main() {
+  const options = {
+    lang: arg('lang'), order: arg('order'), start: arg('start'), dots: arg('dots'), pin: arg('pin'), color: arg('color'),
+  };
+  const pack = phrasing.getLanguage(options.lang);
+  layout.assertLayout(pack);
+  options.pin = parsePin(options.pin);
+  if (!/^[0-9a-f]{6}$/i.test(options.color)) throw new Error(`--color must be 6 hex digits, got "${options.color}"`);
+
+  const map = wiring.ledMap(pack.cols, pack.rows, { order: options.order, start: options.start, dots: options.dots });
+  const header = generateHeader(pack, map);
+  const sketch = generateSketch(pack, options);
+
+  console.log('Swedish Word Clock — Firmware Generator');
+  console.log('========================================\n');
+  console.log(`Language: ${pack.name} (${pack.code}), ${pack.cols}×${pack.rows} grid`);
+  console.log(`Chain: ${map.ledCount} LEDs, ${map.order} from ${map.start}, corner dots at ${map.dotToLed.join(',')}\n`);
+
+  const expected = expectedFrames(pack, map);
+  const noVerify = process.argv.includes('--no-verify');
+  const result = noVerify ? { checked: false } : verifyHeader(header, expected);
+  if (noVerify) {
+    console.log('! --no-verify: emitted logic NOT verified against the simulator');
+  } else if (!result.checked) {
+    throw new Error('No C compiler (cc, gcc or clang) to verify the emitted logic against the simulator; ' +
+      'install one, or pass --no-verify to write the firmware unchecked');
+  } else if (result.mismatches.length) {
+    console.error(`✗ Emitted C logic disagrees with lib/phrasing.js on ${result.mismatches.length} minutes:`);
+    result.mismatches.slice(0, 10).forEach(line => {
+      const i = expected.indexOf(line);
+      console.error(`    expected ${line}\n    got      ${result.actual[i]}`);
+    });
+    process.exit(1);
+  } else {
+    console.log(`✓ Verified ${expected.length}/${expected.length} minutes against lib/phrasing.js (${result.compiler})`);
+  }
+
+  if (!fs.existsSync(OUT_DIR)) fs.mkdirSync(OUT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(OUT_DIR, 'wordclock_layout.h'), header, 'utf-8');
+  fs.writeFileSync(path.join(OUT_DIR, 'wordclock.ino'), sketch, 'utf-8');
+  console.log('✓ wordclock/wordclock_layout.h');
+  console.log('✓ wordclock/wordclock.ino');
+  console.log('\nOpen firmware/wordclock/wordclock.ino in the Arduino IDE (ESP32 board, FastLED library),');
+  console.log('set WIFI_SSID/WIFI_PASS and flash.');
+}
+
+module.exports = { generateHeader, generateSketch, expectedFrames, verifyHeader, parsePin, OUTPUT_PINS, OUT_DIR };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,73 @@
+// wordclock.ino — generated by firmware/generate-firmware.js
+// ESP32 + 114× WS2812B word clock (Svenska).
+// Requires the FastLED library. Set WIFI_SSID/WIFI_PASS and TZ_INFO below.
+// Frames sent by the simulator over USB serial (lib/output.js) take over the
+// panel until none has arrived for REMOTE_HOLD_MS.
+
+#include <WiFi.h>
+#include <time.h>
+#include <FastLED.h>
+#include "wordclock_layout.h"
+
+#define LED_PIN     13
+#define BRIGHTNESS  64
+#define FRAME_BAUD  115200
+#define REMOTE_HOLD_MS 10000
+
+const char *WIFI_SSID = "your-ssid";
+const char *WIFI_PASS = "your-password";
+const char *TZ_INFO   = "CET-1CEST,M3.5.0,M10.5.0/3"; // Europe/Stockholm
+const char *NTP_HOST  = "pool.ntp.org";
+
+const CRGB COLOR_ON = CRGB(255, 215, 138);
+
+CRGB leds[WC_LED_COUNT];
+uint8_t lit[WC_LED_COUNT];
+int lastMinute = -1;
+
+// Simulator frame: 'W' 'C', LED count (big-endian), then R G B per LED
+uint8_t frame[4 + 3 * WC_LED_COUNT];
+size_t frameAt = 0;
+unsigned long remoteUntil = 0;
+
+bool readFrame() {
+  while (Serial.available()) {
+    uint8_t b = Serial.read();
+    if (frameAt < 2 && b != "WC"[frameAt]) { frameAt = b == 'W' ? 1 : 0; continue; }
+    frame[frameAt++] = b;
+    if (frameAt == 4 && ((frame[2] << 8) | frame[3]) != WC_LED_COUNT) { frameAt = 0; continue; }
+    if (frameAt == sizeof(frame)) { frameAt = 0; return true; }
+  }
+  return false;
+}
+
+void setup() {
+  Serial.begin(FRAME_BAUD);
+  FastLED.addLeds<WS2812B, LED_PIN, GRB>(leds, WC_LED_COUNT);
+  FastLED.setBrightness(BRIGHTNESS);
+  FastLED.clear(true);
+
+  WiFi.begin(WIFI_SSID, WIFI_PASS);
+  configTzTime(TZ_INFO, NTP_HOST);
+}
+
+void loop() {
+  if (readFrame()) {
+    for (int i = 0; i < WC_LED_COUNT; i++) {
+      const uint8_t *rgb = frame + 4 + 3 * i;
+      leds[i] = CRGB(rgb[0], rgb[1], rgb[2]);
+    }
+    FastLED.show();
+    remoteUntil = millis() + REMOTE_HOLD_MS;
+    lastMinute = -1; // redraw the time once the simulator lets go
+  }
+
+  struct tm now;
+  if ((long)(millis() - remoteUntil) >= 0 && getLocalTime(&now, 0) && now.tm_min != lastMinute) {
+    lastMinute = now.tm_min;
+    wc_time_leds(now.tm_hour, now.tm_min, lit);
+    for (int i = 0; i < WC_LED_COUNT; i++) leds[i] = lit[i] ? COLOR_ON : CRGB::Black;
+    FastLED.show();
+  }
+  delay(2);
+}
@@ -0,0 +1,126 @@
+// wordclock_layout.h — generated by firmware/generate-firmware.js, do not edit
+// Language: Svenska (sv), 11×10 grid
+// Chain: snake from top-left, corner dots at LED 110–113
+#ifndef WORDCLOCK_LAYOUT_H
+#define WORDCLOCK_LAYOUT_H
+
+#include <stdint.h>
+#include <string.h>
+
+#define WC_COLS 11
+#define WC_ROWS 10
+#define WC_LED_COUNT 114
+#define WC_NEXT_HOUR_FROM 25
+#define WC_NONE 0xFF
+
+typedef uint8_t wc_led_t;
+
+// Grid cell (row-major) → LED chain index
+static const wc_led_t WC_CELL_TO_LED[WC_COLS * WC_ROWS] = {
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 21, 20, 19, 18, 17,
+  16, 15, 14, 13, 12, 11, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31,
+  32, 43, 42, 41, 40, 39, 38, 37, 36, 35, 34, 33, 44, 45, 46, 47,
+  48, 49, 50, 51, 52, 53, 54, 65, 64, 63, 62, 61, 60, 59, 58, 57,
+  56, 55, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 87, 86, 85,
+  84, 83, 82, 81, 80, 79, 78, 77, 88, 89, 90, 91, 92, 93, 94, 95,
+  96, 97, 98, 109, 108, 107, 106, 105, 104, 103, 102, 101, 100, 99
+};
+
+// Corner dots (top-left, top-right, bottom-right, bottom-left) → LED chain index
+static const wc_led_t WC_DOT_TO_LED[4] = { 110, 111, 112, 113 };
+
+// ============================================================
+// WORDS (first cell + length)
+// ============================================================
+enum {
+  W_KLOCKAN,     // KLOCKAN
+  W_AR,          // ÄR
+  W_FEM_MIN,     // FEM_MIN
+  W_TIO_MIN,     // TIO_MIN
+  W_TJUGO,       // TJUGO
+  W_I_WORD,      // I_WORD
+  W_KVART,       // KVART
+  W_OVER,        // ÖVER
+  W_HALV,        // HALV
+  W_ETT,         // ETT
+  W_TVA,         // TVÅ
+  W_TRE,         // TRE
+  W_FYRA,        // FYRA
+  W_FEM_HOUR,    // FEM_HOUR
+  W_SEX,         // SEX
+  W_SJU,         // SJU
+  W_ATTA,        // ÅTTA
+  W_NIO,         // NIO
+  W_ELVA,        // ELVA
+  W_TOLV,        // TOLV
+  W_TIO_HOUR,    // TIO_HOUR
+  WC_WORD_COUNT
+};
+
+static const uint16_t WC_WORD_START[WC_WORD_COUNT] = { 0, 9, 12, 17, 22, 45, 33, 39, 48, 55, 59, 66, 70, 77, 81, 85, 88, 93, 99, 103, 107 };
+static const uint8_t WC_WORD_LEN[WC_WORD_COUNT] = { 7, 2, 3, 3, 5, 1, 5, 4, 4, 3, 3, 3, 4, 3, 3, 3, 4, 3, 4, 4, 3 };
+
+// ============================================================
+// TIME RULES
+// ============================================================
+static const uint8_t WC_PREFIX[] = { W_KLOCKAN, W_AR };
+
+// Minute words per 5-minute block, WC_NONE-padded
+static const uint8_t WC_MINUTE_WORDS[12][3] = {
+  { WC_NONE, WC_NONE, WC_NONE }, // :00
+  { W_FEM_MIN, W_OVER, WC_NONE }, // :05
+  { W_TIO_MIN, W_OVER, WC_NONE }, // :10
+  { W_KVART, W_OVER, WC_NONE }, // :15
+  { W_TJUGO, W_OVER, WC_NONE }, // :20
+  { W_FEM_MIN, W_I_WORD, W_HALV }, // :25
+  { W_HALV, WC_NONE, WC_NONE }, // :30
+  { W_FEM_MIN, W_OVER, W_HALV }, // :35
+  { W_TJUGO, W_I_WORD, WC_NONE }, // :40
+  { W_KVART, W_I_WORD, WC_NONE }, // :45
+  { W_TIO_MIN, W_I_WORD, WC_NONE }, // :50
+  { W_FEM_MIN, W_I_WORD, WC_NONE }, // :55
+};
+
+// Words after the hour (e.g. UHR, OCLOCK), WC_NONE-padded
+static const uint8_t WC_MINUTE_AFTER[12][1] = {
+  { WC_NONE },
+  { WC_NONE },
+  { WC_NONE },
+  { WC_NONE },
+  { WC_NONE },
+  { WC_NONE },
+  { WC_NONE },
+  { WC_NONE },
+  { WC_NONE },
+  { WC_NONE },
+  { WC_NONE },
+  { WC_NONE },
+};
+
+static const uint8_t WC_HOUR_WORDS[12] = { W_TOLV, W_ETT, W_TVA, W_TRE, W_FYRA, W_FEM_HOUR, W_SEX, W_SJU, W_ATTA, W_NIO, W_TIO_HOUR, W_ELVA };
+static const uint8_t WC_FULL_HOUR_WORDS[12] = { W_TOLV, W_ETT, W_TVA, W_TRE, W_FYRA, W_FEM_HOUR, W_SEX, W_SJU, W_ATTA, W_NIO, W_TIO_HOUR, W_ELVA };
+
+// ============================================================
+// TIME LOGIC (mirrors lib/phrasing.js)
+// ============================================================
+static void wc_light_word(uint8_t word, uint8_t *lit) {
+  uint8_t i;
+  if (word == WC_NONE) return;
+  for (i = 0; i < WC_WORD_LEN[word]; i++)
+    lit[WC_CELL_TO_LED[WC_WORD_START[word] + i]] = 1;
+}
+
+// Set lit[led] = 1 for every LED that is on at hour:minute (lit has WC_LED_COUNT entries)
+static void wc_time_leds(uint8_t hour, uint8_t minute, uint8_t *lit) {
+  uint8_t mi = minute / 5;
+  uint8_t hi = (hour + (minute >= WC_NEXT_HOUR_FROM ? 1 : 0)) % 12;
+  uint8_t i;
+  memset(lit, 0, WC_LED_COUNT);
+  for (i = 0; i < sizeof(WC_PREFIX); i++) wc_light_word(WC_PREFIX[i], lit);
+  for (i = 0; i < 3; i++) wc_light_word(WC_MINUTE_WORDS[mi][i], lit);
+  wc_light_word(mi == 0 ? WC_FULL_HOUR_WORDS[hi] : WC_HOUR_WORDS[hi], lit);
+  for (i = 0; i < 1; i++) wc_light_word(WC_MINUTE_AFTER[mi][i], lit);
+  for (i = 0; i < minute % 5; i++) lit[WC_DOT_TO_LED[i]] = 1;
+}
+
+#endif
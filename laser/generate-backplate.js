@@ -1,115 +1,127 @@
 #!/usr/bin/env node
 // generate-backplate.js — 3D-printable backplate grid for Swedish Word Clock
-// Generates ASCII STL files split into sections that fit on a ~220mm print bed.
-// No dependencies required. Run: node generate-backplate.js
+// Generates binary STL (or ASCII STL / 3MF) files split into sections that fit
+// the print bed (split shared with the front panel through sections.json).
+// Neighbouring sections interlock: tabs on the right and top edges, matching
+// sockets (with print clearance) on the left and bottom edges.
+// No dependencies required.
+// Run: node generate-backplate.js [--lang sv|nb|da|de|en] [--joint tab|dovetail|pin]
+//                                 [--clearance 0.2] [--preview] [--format binary|ascii|3mf]
+//                                 [--bed 220x220] [--size S|M|L] [--material PLA|PETG]
+//                                 [--depth 20] [--out dir] [--config clock.yaml]
+// --bed / --size re-split the grid for that bed and size preset and rewrite
+// sections.json. Every section is checked for printability
+// (lib/mesh-validator.js); the run fails if one does not fit the bed.
 
 const fs = require('fs');
 const path = require('path');
 
 // ============================================================
-// PARAMETERS (matching wordclock-stencil-L dimensions)
+// PARAMETERS (grid, pitch and section splits shared via lib/layout.js)
 // ============================================================
-const COLS = 11;
-const ROWS = 10;
-const PITCH = 45;           // mm, cell pitch (matching L size)
-const WALL_THICKNESS = 3;   // mm, wall between cells
-const WALL_HEIGHT = 20;     // mm, cell depth (LED to diffuser distance)
+const layout = require('../lib/layout');
+const phrasing = require('../lib/phrasing');
+const zlib = require('zlib');
+const solid = require('../lib/solid');
+const { STLBuilder, circle, rect } = solid;
+const meshValidator = require('../lib/mesh-validator');
+const config = require('../lib/config');
+const sections = require('./sections');
+const { WALL_THICKNESS, TAB_DEPTH } = layout;
+const WALL_HEIGHT = 20;     // mm, default cell depth (LED to diffuser distance)
 const BASE_THICKNESS = 2;   // mm, base plate
 const WIRE_NOTCH_W = 4;     // mm, notch width for wiring
 const WIRE_NOTCH_H = 5;     // mm, notch height from base
 const LED_HOLE_DIA = 6;     // mm, center hole for LED/wires
-const FRAME_BORDER = 15;    // mm, border matching front panel
 const MOUNT_HOLE_DIA = 4.2; // mm, M4 clearance hole
-const MOUNT_INSET = 8;      // mm, from panel edge
-
-// Section splitting for ~200mm max print bed
-// Cols: 4 + 4 + 3 = 11 (180mm + 180mm + 135mm)
-// Rows: 4 + 3 + 3 = 10 (180mm + 135mm + 135mm)
-const COL_SPLITS = [4, 4, 3];
-const ROW_SPLITS = [4, 3, 3];
 
 // Interlocking tab dimensions
-const TAB_WIDTH = 10;       // mm
-const TAB_DEPTH = 3;        // mm (protrudes from edge)
+const TAB_WIDTH = 10;       // mm (TAB_DEPTH from lib/layout.js; sockets go through the edge wall)
 const TAB_HEIGHT = 10;      // mm
+const DOVETAIL_ROOT = 6;    // mm, dovetail width at the wall (TAB_WIDTH at the tip)
+const PIN_DIA = 5;          // mm, pin joint diameter
+const CLEARANCE = 0.2;      // mm, default gap per side between a tab and its socket
+
+// tab: square tab into a window in the wall, pushed together sideways
+// dovetail: flared tab into a full-height slot, dropped in from above
+// pin: round pin into a hole, pushed together sideways
+const JOINTS = ['tab', 'dovetail', 'pin'];
+const PRINT_COLOR = '#f2f2f2'; // 3MF display colour: white reflects the most light
+const DEFAULT_OPTIONS = { joint: 'tab', clearance: CLEARANCE, format: 'binary', depth: WALL_HEIGHT, material: 'PLA' };
+
+// Options over DEFAULT_OPTIONS; settings left unset (null) in lib/config.js
+// keep the default
+function withDefaults(options) {
+  return { ...DEFAULT_OPTIONS, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v != null)) };
+}
 
 // ============================================================
-// STL HELPERS (ASCII STL format)
+// JOINTS
+// Tabs and sockets are drawn in an edge frame: u runs along the edge, t
+// across it (0 at the face, growing towards +x or +y), so one definition
+// serves the left/right and top/bottom edges.
 // ============================================================
 
-class STLBuilder {
-  constructor() {
-    this.triangles = [];
-  }
-
-  // Add a triangle with vertices [x,y,z] and computed normal
-  addTriangle(v1, v2, v3) {
-    // Compute normal via cross product
-    const u = [v2[0]-v1[0], v2[1]-v1[1], v2[2]-v1[2]];
-    const v = [v3[0]-v1[0], v3[1]-v1[1], v3[2]-v1[2]];
-    const n = [
-      u[1]*v[2] - u[2]*v[1],
-      u[2]*v[0] - u[0]*v[2],
-      u[0]*v[1] - u[1]*v[0]
-    ];
-    const len = Math.sqrt(n[0]*n[0] + n[1]*n[1] + n[2]*n[2]);
-    if (len > 0) { n[0]/=len; n[1]/=len; n[2]/=len; }
-    this.triangles.push({ n, v1, v2, v3 });
-  }
+// Cells whose edge wall carries a joint: the second from each end (first and
+// last when there are only three), away from the wall pillars; a single
+// cell carries one
+function jointCells(count) {
+  const k = Math.floor((count - 1) / 3);
+  return k === count - 1 - k ? [k] : [k, count - 1 - k];
+}
 
-  // Add a rectangular face as 2 triangles (vertices in CCW order for outward normal)
-  addQuad(a, b, c, d) {
-    this.addTriangle(a, b, c);
-    this.addTriangle(a, c, d);
-  }
+function jointCentre(cell, pitch) {
+  return cell * pitch + (pitch + WALL_THICKNESS) / 2;
+}
 
-  // Add a box from (x,y,z) to (x+w, y+d, z+h)
-  addBox(x, y, z, w, d, h) {
-    const x2 = x+w, y2 = y+d, z2 = z+h;
-    // Bottom (z=z, normal -Z)
-    this.addQuad([x,y2,z],[x2,y2,z],[x2,y,z],[x,y,z]);
-    // Top (z=z2, normal +Z)
-    this.addQuad([x,y,z2],[x2,y,z2],[x2,y2,z2],[x,y2,z2]);
-    // Front (y=y, normal -Y)
-    this.addQuad([x,y,z],[x2,y,z],[x2,y,z2],[x,y,z2]);
-    // Back (y=y2, normal +Y)
-    this.addQuad([x2,y2,z],[x,y2,z],[x,y2,z2],[x2,y2,z2]);
-    // Left (x=x, normal -X)
-    this.addQuad([x,y2,z],[x,y,z],[x,y,z2],[x,y2,z2]);
-    // Right (x=x2, normal +X)
-    this.addQuad([x2,y,z],[x2,y2,z],[x2,y2,z2],[x2,y,z2]);
-  }
+function edgeFrame(stl, normal, face) {
+  const point = (u, t) => normal === 'x' ? [face + t, u] : [u, face + t];
+  return {
+    box(u, t, z, du, dt, dz) {
+      if (normal === 'x') stl.addBox(face + t, u, z, dt, du, dz);
+      else stl.addBox(u, face + t, z, du, dt, dz);
+    },
+    // Polygon in (u, t), extruded along z
+    prism(points, z, h) {
+      stl.addPlate(points.map(([u, t]) => point(u, t)), [], z, h);
+    },
+    // Outline and holes in (u, z), extruded across the edge from t to t+dt
+    across(outline, holes, t, dt) {
+      const swap = poly => normal === 'x' ? poly : poly.map(([u, z]) => [z, u]);
+      stl.addPlate(swap(outline), holes.map(swap), face + t, dt, normal);
+    },
+  };
+}
 
-  // Approximate a cylinder (vertical, along Z) as a polygon
-  addCylinder(cx, cy, z, r, h, segments = 16) {
-    const z2 = z + h;
-    for (let i = 0; i < segments; i++) {
-      const a1 = (2 * Math.PI * i) / segments;
-      const a2 = (2 * Math.PI * (i+1)) / segments;
-      const x1 = cx + r * Math.cos(a1), y1 = cy + r * Math.sin(a1);
-      const x2 = cx + r * Math.cos(a2), y2 = cy + r * Math.sin(a2);
-      // Side face
-      this.addQuad([x1,y1,z],[x2,y2,z],[x2,y2,z2],[x1,y1,z2]);
-      // Top cap
-      this.addTriangle([cx,cy,z2],[x1,y1,z2],[x2,y2,z2]);
-      // Bottom cap
-      this.addTriangle([cx,cy,z],[x2,y2,z],[x1,y1,z]);
-    }
+// Tab sticking out of the face at u (the right or top edge)
+function addTab(frame, u, joint) {
+  if (joint === 'tab') {
+    frame.box(u - TAB_WIDTH / 2, 0, BASE_THICKNESS, TAB_WIDTH, TAB_DEPTH, TAB_HEIGHT);
+  } else if (joint === 'dovetail') {
+    frame.prism([[u - DOVETAIL_ROOT / 2, 0], [u + DOVETAIL_ROOT / 2, 0],
+                 [u + TAB_WIDTH / 2, TAB_DEPTH], [u - TAB_WIDTH / 2, TAB_DEPTH]], BASE_THICKNESS, TAB_HEIGHT);
+  } else {
+    frame.across(circle(u, BASE_THICKNESS + TAB_HEIGHT / 2, PIN_DIA / 2), [], 0, TAB_DEPTH);
   }
+}
 
-  toSTL(name = 'backplate') {
-    let stl = `solid ${name}\n`;
-    for (const t of this.triangles) {
-      stl += `  facet normal ${t.n[0].toExponential(6)} ${t.n[1].toExponential(6)} ${t.n[2].toExponential(6)}\n`;
-      stl += `    outer loop\n`;
-      stl += `      vertex ${t.v1[0].toExponential(6)} ${t.v1[1].toExponential(6)} ${t.v1[2].toExponential(6)}\n`;
-      stl += `      vertex ${t.v2[0].toExponential(6)} ${t.v2[1].toExponential(6)} ${t.v2[2].toExponential(6)}\n`;
-      stl += `      vertex ${t.v3[0].toExponential(6)} ${t.v3[1].toExponential(6)} ${t.v3[2].toExponential(6)}\n`;
-      stl += `    endloop\n`;
-      stl += `  endfacet\n`;
-    }
-    stl += `endsolid ${name}\n`;
-    return stl;
+// Edge wall segment from u0 to u0+len, `height` tall, with the socket for a
+// tab at u cut through it (the left or bottom edge)
+function addSocketWall(frame, u0, len, u, joint, clearance, height) {
+  const c = clearance;
+  const T = WALL_THICKNESS;
+  if (joint === 'tab') {
+    const w = TAB_WIDTH + 2 * c, top = BASE_THICKNESS + TAB_HEIGHT + c;
+    frame.box(u0, 0, BASE_THICKNESS, u - w / 2 - u0, T, height);
+    frame.box(u + w / 2, 0, BASE_THICKNESS, u0 + len - u - w / 2, T, height);
+    frame.box(u - w / 2, 0, top, w, T, BASE_THICKNESS + height - top);
+  } else if (joint === 'dovetail') {
+    const root = DOVETAIL_ROOT / 2 + c, tip = TAB_WIDTH / 2 + c;
+    frame.prism([[u0, 0], [u - root, 0], [u - tip, T], [u0, T]], BASE_THICKNESS, height);
+    frame.prism([[u + root, 0], [u0 + len, 0], [u0 + len, T], [u + tip, T]], BASE_THICKNESS, height);
+  } else {
+    frame.across(rect(u0, BASE_THICKNESS, len, height),
+                 [circle(u, BASE_THICKNESS + TAB_HEIGHT / 2, PIN_DIA / 2 + c)], 0, T);
   }
 }
 
@@ -117,24 +129,39 @@ class STLBuilder {
 // BACKPLATE SECTION GENERATOR
 // ============================================================
 
-function generateSection(colStart, colCount, rowStart, rowCount, secCol, secRow) {
+// plan: the section split (laser/sections.js); its pitch sets the cell size
+function generateSection(colStart, colCount, rowStart, rowCount, secCol, secRow, plan, options = DEFAULT_OPTIONS) {
+  const { joint, clearance, depth } = withDefaults(options);
+  const pitch = plan.pitch;
+  if (!JOINTS.includes(joint)) throw new Error(`Unknown joint "${joint}" (available: ${JOINTS.join(', ')})`);
+  if (!(clearance >= 0 && clearance < 1)) throw new Error(`Clearance must be between 0 and 1mm, got ${clearance}`);
+  if (!(depth > TAB_HEIGHT + clearance))
+    throw new Error(`Cell depth must be more than ${TAB_HEIGHT + clearance}mm to hold the ${TAB_HEIGHT}mm tabs, got ${depth}mm`);
   const stl = new STLBuilder();
 
-  const cellInner = PITCH - WALL_THICKNESS;
-  const sectionW = colCount * PITCH + WALL_THICKNESS; // includes walls on both sides
-  const sectionD = rowCount * PITCH + WALL_THICKNESS;
-  const totalH = BASE_THICKNESS + WALL_HEIGHT;
+  const cellInner = pitch - WALL_THICKNESS;
+  const sectionW = colCount * pitch + WALL_THICKNESS; // includes walls on both sides
+  const sectionD = rowCount * pitch + WALL_THICKNESS;
+  const totalH = BASE_THICKNESS + depth;
 
-  // --- Base plate ---
-  stl.addBox(0, 0, 0, sectionW, sectionD, BASE_THICKNESS);
+  // --- Base plate with an LED/wire hole through the centre of each cell ---
+  const ledHoles = [];
+  for (let r = 0; r < rowCount; r++) {
+    for (let c = 0; c < colCount; c++) {
+      const cx = c * pitch + WALL_THICKNESS + cellInner / 2;
+      const cy = r * pitch + WALL_THICKNESS + cellInner / 2;
+      ledHoles.push(circle(cx, cy, LED_HOLE_DIA / 2));
+    }
+  }
+  stl.addPlate(rect(0, 0, sectionW, sectionD), ledHoles, 0, BASE_THICKNESS);
 
   // --- Vertical walls (along Y axis, between columns) ---
   for (let c = 0; c <= colCount; c++) {
-    const wx = c * PITCH;
+    const wx = c * pitch;
     // Full wall with wire notches cut out
     // Build wall as segments, skipping notch areas
     for (let r = 0; r < rowCount; r++) {
-      const wy = r * PITCH + WALL_THICKNESS; // start after row wall
+      const wy = r * pitch + WALL_THICKNESS; // start after row wall
       const wallLen = cellInner; // wall segment length = cell inner size
 
       // Lower wall segment (below notch) — skip, this is where notch is
@@ -142,79 +169,63 @@ function generateSection(colStart, colCount, rowStart, rowCount, secCol, secRow)
       if (c > 0 && c < colCount) {
         // Interior wall: add wire notch
         // Wall from base+notch_h to top
-        stl.addBox(wx, wy, BASE_THICKNESS + WIRE_NOTCH_H, WALL_THICKNESS, wallLen, WALL_HEIGHT - WIRE_NOTCH_H);
+        stl.addBox(wx, wy, BASE_THICKNESS + WIRE_NOTCH_H, WALL_THICKNESS, wallLen, depth - WIRE_NOTCH_H);
         // Wall segments on sides of notch (below notch level)
         const notchStart = wy + (wallLen - WIRE_NOTCH_W) / 2;
         // Left of notch
         stl.addBox(wx, wy, BASE_THICKNESS, WALL_THICKNESS, (wallLen - WIRE_NOTCH_W) / 2, WIRE_NOTCH_H);
         // Right of notch
         stl.addBox(wx, notchStart + WIRE_NOTCH_W, BASE_THICKNESS, WALL_THICKNESS, (wallLen - WIRE_NOTCH_W) / 2, WIRE_NOTCH_H);
+      } else if (c === 0 && secCol > 0 && jointCells(rowCount).includes(r)) {
+        // Left edge wall: socket for the left neighbour's tab
+        addSocketWall(edgeFrame(stl, 'x', 0), wy, wallLen, jointCentre(r, pitch), joint, clearance, depth);
       } else {
         // Edge wall: solid (no notch needed)
-        stl.addBox(wx, wy, BASE_THICKNESS, WALL_THICKNESS, wallLen, WALL_HEIGHT);
+        stl.addBox(wx, wy, BASE_THICKNESS, WALL_THICKNESS, wallLen, depth);
       }
     }
     // Wall segments at row-wall intersections (pillars)
     for (let r = 0; r <= rowCount; r++) {
-      const wy = r * PITCH;
-      stl.addBox(wx, wy, BASE_THICKNESS, WALL_THICKNESS, WALL_THICKNESS, WALL_HEIGHT);
+      const wy = r * pitch;
+      stl.addBox(wx, wy, BASE_THICKNESS, WALL_THICKNESS, WALL_THICKNESS, depth);
     }
   }
 
   // --- Horizontal walls (along X axis, between rows) ---
   for (let r = 0; r <= rowCount; r++) {
-    const wy = r * PITCH;
+    const wy = r * pitch;
     for (let c = 0; c < colCount; c++) {
-      const wx = c * PITCH + WALL_THICKNESS;
+      const wx = c * pitch + WALL_THICKNESS;
       const wallLen = cellInner;
 
       if (r > 0 && r < rowCount) {
         // Interior wall: add wire notch
-        stl.addBox(wx, wy, BASE_THICKNESS + WIRE_NOTCH_H, wallLen, WALL_THICKNESS, WALL_HEIGHT - WIRE_NOTCH_H);
+        stl.addBox(wx, wy, BASE_THICKNESS + WIRE_NOTCH_H, wallLen, WALL_THICKNESS, depth - WIRE_NOTCH_H);
         const notchStart = wx + (wallLen - WIRE_NOTCH_W) / 2;
         stl.addBox(wx, wy, BASE_THICKNESS, (wallLen - WIRE_NOTCH_W) / 2, WALL_THICKNESS, WIRE_NOTCH_H);
         stl.addBox(notchStart + WIRE_NOTCH_W, wy, BASE_THICKNESS, (wallLen - WIRE_NOTCH_W) / 2, WALL_THICKNESS, WIRE_NOTCH_H);
+      } else if (r === 0 && secRow > 0 && jointCells(colCount).includes(c)) {
+        // Bottom edge wall: socket for the neighbour's tab
+        addSocketWall(edgeFrame(stl, 'y', 0), wx, wallLen, jointCentre(c, pitch), joint, clearance, depth);
       } else {
         // Edge wall: solid
-        stl.addBox(wx, wy, BASE_THICKNESS, wallLen, WALL_THICKNESS, WALL_HEIGHT);
+        stl.addBox(wx, wy, BASE_THICKNESS, wallLen, WALL_THICKNESS, depth);
       }
     }
   }
 
-  // --- LED holes in base plate (cylindrical cutouts represented as raised rings) ---
-  // Since STL can't do boolean subtraction easily, we mark LED positions
-  // with small raised rings on the base plate for visual reference.
-  // The actual holes should be drilled or the base can be printed with
-  // support and holes modeled as thin-walled cylinders.
-  // For practical purposes, we add guide marks.
-  for (let r = 0; r < rowCount; r++) {
-    for (let c = 0; c < colCount; c++) {
-      const cx = c * PITCH + WALL_THICKNESS + cellInner / 2;
-      const cy = r * PITCH + WALL_THICKNESS + cellInner / 2;
-      // LED guide ring on top of base
-      stl.addCylinder(cx, cy, BASE_THICKNESS, LED_HOLE_DIA / 2 + 1, 0.5, 12);
-    }
-  }
-
-  // --- Interlocking tabs ---
+  // --- Interlocking tabs (sockets are cut into the neighbour's edge walls above) ---
   // Right edge tabs (if not last column section)
-  if (secCol < COL_SPLITS.length - 1) {
-    for (let t = 0; t < 2; t++) {
-      const ty = sectionD * (t + 1) / 3 - TAB_WIDTH / 2;
-      stl.addBox(sectionW, ty, BASE_THICKNESS, TAB_DEPTH, TAB_WIDTH, TAB_HEIGHT);
-    }
+  if (secCol < plan.cols.length - 1) {
+    for (const r of jointCells(rowCount)) addTab(edgeFrame(stl, 'x', sectionW), jointCentre(r, pitch), joint);
   }
-  // Left edge slots (if not first column section) — indentation represented as tab on neighbor
   // Top edge tabs (if not last row section)
-  if (secRow < ROW_SPLITS.length - 1) {
-    for (let t = 0; t < 2; t++) {
-      const tx = sectionW * (t + 1) / 3 - TAB_WIDTH / 2;
-      stl.addBox(tx, sectionD, BASE_THICKNESS, TAB_WIDTH, TAB_DEPTH, TAB_HEIGHT);
-    }
+  if (secRow < plan.rows.length - 1) {
+    for (const c of jointCells(colCount)) addTab(edgeFrame(stl, 'y', sectionD), jointCentre(c, pitch), joint);
   }
 
   return {
-    stl: stl.toSTL(`backplate_${secCol}_${secRow}`),
+    mesh: stl,
     sectionW,
     sectionD,
     totalH,
@@ -226,44 +237,129 @@ function generateSection(colStart, colCount, rowStart, rowCount, secCol, secRow)
 // MAIN — Generate all sections
 // ============================================================
 
-const outDir = path.join(__dirname, '3d-backplate');
-if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
-
-console.log('Swedish Word Clock — 3D Backplate Generator');
-console.log('=============================================\n');
-console.log(`Panel: ${COLS}×${ROWS} cells, ${PITCH}mm pitch (L size)`);
-console.log(`Cell depth: ${WALL_HEIGHT}mm, wall: ${WALL_THICKNESS}mm, base: ${BASE_THICKNESS}mm`);
-console.log(`Wire notch: ${WIRE_NOTCH_W}×${WIRE_NOTCH_H}mm in interior walls`);
-console.log(`Split into ${COL_SPLITS.length}×${ROW_SPLITS.length} = ${COL_SPLITS.length * ROW_SPLITS.length} printable sections\n`);
-
-let totalCells = 0;
-let rowStart = 0;
-
-for (let sr = 0; sr < ROW_SPLITS.length; sr++) {
-  let colStart = 0;
-  for (let sc = 0; sc < COL_SPLITS.length; sc++) {
-    const cols = COL_SPLITS[sc];
-    const rows = ROW_SPLITS[sr];
-    const filename = `backplate_section_${sc}_${sr}.stl`;
-    const { stl, sectionW, sectionD, totalH, cells } = generateSection(colStart, cols, rowStart, rows, sc, sr);
-    const filepath = path.join(outDir, filename);
-    fs.writeFileSync(filepath, stl, 'utf-8');
+// Build every section in memory: [{ filename, content, summary, cells, mesh }].
+// options: { joint, clearance, format, depth, material, preview, plan } —
+// material names the 3MF base material; preview adds
+// backplate_assembled.stl with all sections placed side by side, tabs in
+// their sockets; plan defaults to the one in sections.json.
+function buildFiles(pack = phrasing.getLanguage(phrasing.DEFAULT_LANGUAGE), options = {}) {
+  layout.assertLayout(pack);
+  options = withDefaults(options);
+  const plan = options.plan || sections.loadPlan(pack);
+  const format = options.format;
+  const ext = solid.FORMATS[format];
+  const write = (mesh, name) => solid.encode(mesh, format, name,
+    { color: PRINT_COLOR, material: options.material, deflate: zlib.deflateRawSync });
+  const files = [];
+  const assembled = new STLBuilder();
+  let rowStart = 0, y = 0;
+  for (let sr = 0; sr < plan.rows.length; sr++) {
+    let colStart = 0, x = 0, depth = 0;
+    for (let sc = 0; sc < plan.cols.length; sc++) {
+      const cols = plan.cols[sc];
+      const rows = plan.rows[sr];
+      const { mesh, sectionW, sectionD, totalH, cells } = generateSection(colStart, cols, rowStart, rows, sc, sr, plan, options);
+      files.push({
+        filename: `backplate_section_${sc}_${sr}${ext}`,
+        content: write(mesh, `backplate_${sc}_${sr}`),
+        summary: `[${sc},${sr}]  ${cols}×${rows} cells  ${sectionW.toFixed(0)}×${sectionD.toFixed(0)}×${totalH}mm`,
+        cells,
+        mesh,
+      });
+      if (options.preview) assembled.addMesh(mesh, x, y, 0);
+      colStart += cols;
+      x += sectionW;
+      depth = sectionD;
+    }
+    rowStart += plan.rows[sr];
+    y += depth;
+  }
+  if (options.preview) {
+    files.push({
+      filename: `backplate_assembled${ext}`,
+      content: write(assembled, 'backplate_assembled'),
+      summary: 'all sections assembled (preview only, do not print)',
+      cells: 0,
+    });
+  }
+  return files;
+}
+
+const OUT_DIR = path.join(__dirname, '3d-backplate');
+
+// Write the sections for one set of settings (lib/config.js); returns false
+// when a section does not fit the bed
+function run(settings) {
+  const pack = phrasing.getLanguage(settings.lang || phrasing.DEFAULT_LANGUAGE);
+  const manifest = sections.manifestFor(settings);
+  const { plan, written } = sections.resolvePlan(pack, { size: settings.size, bed: settings.bed }, manifest);
+  const options = { ...withDefaults(settings), plan };
+  const files = buildFiles(pack, options);
+  const bed = plan.bed;
+  const count = plan.cols.length * plan.rows.length;
+  const material = options.material;
+  const outDir = settings.outDir ? path.join(settings.outDir, path.basename(OUT_DIR)) : OUT_DIR;
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  // Sections left over from an earlier split with more of them
+  for (const name of fs.readdirSync(outDir)) {
+    if (name.startsWith('backplate_section_') && name.endsWith(solid.FORMATS[options.format]) && !files.some(f => f.filename === name))
+      fs.unlinkSync(path.join(outDir, name));
+  }
+
+  console.log('Swedish Word Clock — 3D Backplate Generator');
+  console.log('=============================================\n');
+  console.log(`Panel: ${pack.cols}×${pack.rows} cells, ${plan.pitch}mm pitch (${plan.size} size)`);
+  console.log(`Cell depth: ${options.depth}mm, wall: ${WALL_THICKNESS}mm, base: ${BASE_THICKNESS}mm`);
+  console.log(`Wire notch: ${WIRE_NOTCH_W}×${WIRE_NOTCH_H}mm in interior walls, LED/wire hole: ${LED_HOLE_DIA}mm`);
+  console.log(`Joints: ${options.joint}, ${options.clearance}mm clearance per side`);
+  console.log(`Split into ${plan.cols.length}×${plan.rows.length} = ${count} printable sections for a ${bed.join('×')}mm bed ` +
+    `(columns ${plan.cols.join('+')}, rows ${plan.rows.join('+')})`);
+  if (written) console.log(`✓ ${path.relative(process.cwd(), manifest)} updated — run the front panel generator too`);
+  console.log('');
+
+  let totalCells = 0;
+  for (const { filename, content, summary, cells } of files) {
+    fs.writeFileSync(path.join(outDir, filename), content);
     totalCells += cells;
+    console.log(`✓ ${filename}  ${summary}`);
+  }
 
-    const label = `[${sc},${sr}]`;
-    console.log(`✓ ${filename}  ${label}  ${cols}×${rows} cells  ${sectionW.toFixed(0)}×${sectionD.toFixed(0)}×${totalH}mm`);
+  console.log(`\nTotal: ${totalCells} cells across ${count} sections`);
+  console.log(`\nAssembly:`);
+  console.log(`1. Print all ${count} sections (PLA or PETG, 0.2mm layer, 15-20% infill)`);
+  console.log(options.joint === 'dovetail'
+    ? `2. Join sections by lowering each one so its dovetails drop into the neighbour's slots`
+    : `2. Push sections together so each ${options.joint} seats in the neighbour's socket`);
+  console.log(`3. Glue WS2812B LEDs in each cell, centred over the ${LED_HOLE_DIA}mm hole; wires go through from behind`);
+  console.log(`4. Route data+power wires through notches between cells`);
+  console.log(`5. Place diffuser sheet on top of grid`);
+  console.log(`6. Mount front panel with M4 screws through corner holes`);
+  console.log(`\nWiring order: snake pattern, row 0 left→right, row 1 right→left, etc.`);
 
-    colStart += cols;
+  console.log(`\nMesh check (${bed.join('×')}mm bed):`);
+  let tooBig = 0;
+  for (const { filename, mesh, cells } of files) {
+    if (!cells) continue; // the assembled preview is not printed
+    const report = meshValidator.checkMesh(mesh, { bed, material });
+    if (!report.fitsBed) tooBig++;
+    meshValidator.reportLines(filename, report).forEach(line => console.log(line));
   }
-  rowStart += ROW_SPLITS[sr];
+  if (tooBig) {
+    console.error(`\n✗ ${tooBig} section(s) do not fit the ${bed.join('×')}mm bed — re-split with --bed <X>x<Y>`);
+    return false;
+  }
+  return true;
 }
 
-console.log(`\nTotal: ${totalCells} cells across ${COL_SPLITS.length * ROW_SPLITS.length} sections`);
-console.log(`\nAssembly:`);
-console.log(`1. Print all 9 sections (PLA or PETG, 0.2mm layer, 15-20% infill)`);
-console.log(`2. Snap sections together using interlocking tabs`);
-console.log(`3. Glue WS2812B LEDs in each cell (centered on guide ring)`);
-console.log(`4. Route data+power wires through notches between cells`);
-console.log(`5. Place diffuser sheet on top of grid`);
-console.log(`6. Mount front panel with M4 screws through corner holes`);
-console.log(`\nWiring order: snake pattern, row 0 left→right, row 1 right→left, etc.`);
+function main() {
+  try {
+    if (!run(config.resolveConfig(process.argv.slice(2), file => fs.readFileSync(file, 'utf-8')))) process.exit(1);
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { STLBuilder, generateSection, buildFiles, run, OUT_DIR };
+
+if (require.main === module) main();
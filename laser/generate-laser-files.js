@@ -1,345 +1,193 @@
 #!/usr/bin/env node
-// generate-laser-files.js — Parametric SVG generator for Swedish Word Clock laser cutting
-// No dependencies required. Run: node generate-laser-files.js
+// generate-laser-files.js — Parametric SVG/DXF/PDF generator for Swedish Word Clock laser cutting
+// No dependencies required.
+// Run: node generate-laser-files.js [--lang sv|nb|da|de|en] [--size S|M|L] [--pitch 45] [--cutout 37]
+//                                   [--profile mdf-3] [--thickness 3] [--kerf 0.15] [--tolerance 0.1]
+//                                   [--window-radius 2] [--bridge-width 1] [--depth 20] [--out dir]
+//                                   [--only grid,stencil,separator] [--laser-formats svg,dxf,pdf]
+//                                   [--config clock.yaml]
+// Settings and their validation: lib/config.js. Without --size every part is
+// drawn in every size, as SVG and DXF unless --laser-formats says otherwise.
 
 const fs = require('fs');
 const path = require('path');
 
 // ============================================================
-// GRID LAYOUT (must match index.html)
+// SIZE CONFIGURATIONS & LANGUAGE PACKS (shared with index.html)
 // ============================================================
-const COLS = 11;
-const ROWS = 10;
-const GRID_LETTERS = [
-  'K','L','O','C','K','A','N','V','H','Ä','R',
-  'S','F','E','M','I','S','T','I','O','N','A',
-  'T','J','U','G','O','M','I','E','S','N','D',
-  'K','V','A','R','T','B','Ö','V','E','R','G',
-  'L','I','A','H','H','A','L','V','Ö','T','P',
-  'E','T','T','R','T','V','Å','L','S','N','D',
-  'T','R','E','N','F','Y','R','A','O','S','T',
-  'F','E','M','B','S','E','X','O','S','J','U',
-  'Å','T','T','A','M','N','I','O','D','E','K',
-  'E','L','V','A','T','O','L','V','T','I','O'
-];
-
-// ============================================================
-// SIZE CONFIGURATIONS
-// ============================================================
-const SIZES = {
-  S: { label: 'Small (desktop)',  pitch: 25, cutout: 20, cornerDot: 8, mountHole: 4 },
-  M: { label: 'Medium (wall)',    pitch: 35, cutout: 28, cornerDot: 8, mountHole: 4 },
-  L: { label: 'Large (wall)',     pitch: 45, cutout: 37, cornerDot: 8, mountHole: 4 },
+const layout = require('../lib/layout');
+const phrasing = require('../lib/phrasing');
+const config = require('../lib/config');
+const drawing = require('../lib/drawing');
+const stencil = require('../lib/stencil');
+const { FRAME_BORDER, MOUNT_INSET, CORNER_RADIUS } = layout;
+const DEFAULT_PACK = phrasing.getLanguage(phrasing.DEFAULT_LANGUAGE);
+
+// Artefacts this generator makes, with the sizes each is drawn in unless a
+// size is configured
+const DEFAULT_SIZES = { grid: ['S', 'M', 'L'], stencil: ['S', 'M', 'L'], separator: ['S', 'M', 'L'] };
+
+// File formats: every artefact is one drawing (lib/drawing.js) written once
+// per format in settings.laserFormats
+const FORMATS = {
+  svg: { write: drawing.toSVG, note: 'browser, Inkscape, most online services' },
+  dxf: { write: drawing.toDXF, note: 'Scandcut and other CAD-based services' },
+  pdf: { write: d => Buffer.from(drawing.toPDF(d), 'latin1'), note: 'Snijlab, Cotter and other PDF services' },
 };
 
 // Shared constants
-const STROKE_WIDTH = 0.025; // hairline
 const CUT_COLOR = '#FF0000';
 const ENGRAVE_COLOR = '#0000FF';
-const CORNER_RADIUS = 5; // outer frame corner radius in mm
-const FRAME_BORDER = 15; // border around grid area in mm
-const MOUNT_INSET = 8;   // mounting hole inset from panel edge
-
-// ============================================================
-// SVG HELPERS
-// ============================================================
-
-function svgHeader(width, height) {
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg"
-     width="${width}mm" height="${height}mm"
-     viewBox="0 0 ${width} ${height}">
-`;
-}
-
-function svgFooter() {
-  return '</svg>\n';
-}
-
-function roundedRect(x, y, w, h, r, color) {
-  return `  <rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${r}" ry="${r}" ` +
-    `stroke="${color}" stroke-width="${STROKE_WIDTH}" fill="none" />\n`;
-}
 
-function rect(x, y, w, h, color) {
-  return `  <rect x="${x}" y="${y}" width="${w}" height="${h}" ` +
-    `stroke="${color}" stroke-width="${STROKE_WIDTH}" fill="none" />\n`;
-}
-
-function circle(cx, cy, r, color) {
-  return `  <circle cx="${cx}" cy="${cy}" r="${r}" ` +
-    `stroke="${color}" stroke-width="${STROKE_WIDTH}" fill="none" />\n`;
-}
-
-function textElement(x, y, text, size, color, anchor = 'middle') {
-  return `  <text x="${x}" y="${y}" font-family="sans-serif" font-size="${size}" ` +
-    `fill="${color}" text-anchor="${anchor}" dominant-baseline="central">${text}</text>\n`;
+function cutLayer(id, shapes) {
+  return { id, label: 'Cut', color: CUT_COLOR, dxfLayer: 'CUT', dxfText: false, shapes };
 }
 
 // ============================================================
-// GRID SVG GENERATOR (Variant A)
+// FRONT PANEL PARTS (shared by both variants)
 // ============================================================
 
-function generateGridSVG(sizeKey) {
-  const s = SIZES[sizeKey];
-  const gridW = COLS * s.pitch;
-  const gridH = ROWS * s.pitch;
-  const panelW = gridW + 2 * FRAME_BORDER;
-  const panelH = gridH + 2 * FRAME_BORDER;
-
-  let svg = svgHeader(panelW, panelH);
-
-  // Layer: Cut lines
-  svg += `  <g id="cut-lines" inkscape:label="Cut" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape">\n`;
-
-  // Outer frame
-  svg += `  ${roundedRect(0, 0, panelW, panelH, CORNER_RADIUS, CUT_COLOR).trim()}\n`;
-
-  // 110 cell windows (centered in each cell)
-  for (let row = 0; row < ROWS; row++) {
-    for (let col = 0; col < COLS; col++) {
-      const cx = FRAME_BORDER + col * s.pitch + s.pitch / 2;
-      const cy = FRAME_BORDER + row * s.pitch + s.pitch / 2;
-      const x = cx - s.cutout / 2;
-      const y = cy - s.cutout / 2;
-      svg += `  ${rect(x, y, s.cutout, s.cutout, CUT_COLOR).trim()}\n`;
-    }
-  }
+// Cut paths run half the kerf away from the finished edge: outward around
+// the panel, inward in every hole, so parts come out at their nominal size.
+function panelSize(pack, s) {
+  return { panelW: pack.cols * s.pitch + 2 * FRAME_BORDER, panelH: pack.rows * s.pitch + 2 * FRAME_BORDER };
+}
 
-  // 4 corner dots (minute indicators) — positioned in frame border area at corners of grid
-  const dotR = s.cornerDot / 2;
-  const dotInset = FRAME_BORDER / 2; // center in frame border
-  const dotPositions = [
+// Outer frame, then the corner dots and mounting holes, each offset by k
+function frameShapes(s, panelW, panelH, k) {
+  // 4 corner dots (minute indicators) — centred in the frame border at the corners of the grid
+  const dotInset = FRAME_BORDER / 2;
+  const dots = [
     [dotInset, dotInset],
     [panelW - dotInset, dotInset],
     [dotInset, panelH - dotInset],
     [panelW - dotInset, panelH - dotInset],
-  ];
-  dotPositions.forEach(([cx, cy]) => {
-    svg += `  ${circle(cx, cy, dotR, CUT_COLOR).trim()}\n`;
-  });
+  ].map(([cx, cy]) => drawing.circle(cx, cy, s.cornerDot / 2 - k));
 
   // 4 mounting holes
-  const mountPositions = [
+  const holes = [
     [MOUNT_INSET, MOUNT_INSET],
     [panelW - MOUNT_INSET, MOUNT_INSET],
     [MOUNT_INSET, panelH - MOUNT_INSET],
     [panelW - MOUNT_INSET, panelH - MOUNT_INSET],
-  ];
-  mountPositions.forEach(([cx, cy]) => {
-    svg += `  ${circle(cx, cy, s.mountHole / 2, CUT_COLOR).trim()}\n`;
-  });
-
-  svg += '  </g>\n';
+  ].map(([cx, cy]) => drawing.circle(cx, cy, s.mountHole / 2 - k));
 
-  // Layer: Engrave labels (letters)
-  svg += `  <g id="engrave-labels" inkscape:label="Engrave" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape">\n`;
+  return { frame: drawing.rect(-k, -k, panelW + 2 * k, panelH + 2 * k, CORNER_RADIUS + k), dots, holes };
+}
 
-  const fontSize = s.cutout * 0.6;
-  for (let row = 0; row < ROWS; row++) {
-    for (let col = 0; col < COLS; col++) {
-      const idx = row * COLS + col;
-      const cx = FRAME_BORDER + col * s.pitch + s.pitch / 2;
-      const cy = FRAME_BORDER + row * s.pitch + s.pitch / 2;
-      svg += `  ${textElement(cx, cy, GRID_LETTERS[idx], fontSize, ENGRAVE_COLOR).trim()}\n`;
+// Centre of every cell in reading order, with its letter
+function cells(pack, s) {
+  const result = [];
+  for (let row = 0; row < pack.rows; row++) {
+    for (let col = 0; col < pack.cols; col++) {
+      result.push({
+        cx: FRAME_BORDER + col * s.pitch + s.pitch / 2,
+        cy: FRAME_BORDER + row * s.pitch + s.pitch / 2,
+        letter: pack.letters[row * pack.cols + col],
+      });
     }
   }
-
-  svg += '  </g>\n';
-  svg += svgFooter();
-
-  return { svg, panelW, panelH };
+  return result;
 }
 
 // ============================================================
-// STENCIL SVG GENERATOR (Variant B)
+// GRID (Variant A)
 // ============================================================
 
-function generateStencilSVG(sizeKey = 'L') {
-  const s = SIZES[sizeKey];
-  const gridW = COLS * s.pitch;
-  const gridH = ROWS * s.pitch;
-  const panelW = gridW + 2 * FRAME_BORDER;
-  const panelH = gridH + 2 * FRAME_BORDER;
-
-  let svg = svgHeader(panelW, panelH);
-
-  svg += `  <!-- INSTRUCTIONS:
-       1. Install font "Allerta Stencil" from Google Fonts (free)
-       2. Open this file in Inkscape
-       3. Select All (Ctrl+A)
-       4. Path > Object to Path (Shift+Ctrl+C)
-       5. Save as Plain SVG or export as DXF
-       Allerta Stencil has built-in bridges for enclosed letters (A, O, Ö, etc.)
-       so no inner pieces fall out during laser cutting.
-  -->\n\n`;
-
-  // Layer: Cut lines
-  svg += `  <g id="cut-lines" inkscape:label="Cut" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape">\n`;
-
-  // Outer frame
-  svg += `  ${roundedRect(0, 0, panelW, panelH, CORNER_RADIUS, CUT_COLOR).trim()}\n`;
-
-  // Corner dots
-  const dotR = s.cornerDot / 2;
-  const dotInset = FRAME_BORDER / 2;
-  [
-    [dotInset, dotInset],
-    [panelW - dotInset, dotInset],
-    [dotInset, panelH - dotInset],
-    [panelW - dotInset, panelH - dotInset],
-  ].forEach(([cx, cy]) => {
-    svg += `  ${circle(cx, cy, dotR, CUT_COLOR).trim()}\n`;
-  });
+// options: settings from lib/config.js (pitch/cutout overrides, kerf, window radius).
+// Letter labels go on an engrave layer, which the DXF leaves out — laser
+// services often reject text because the fonts are missing on their systems.
+function gridDrawing(sizeKey, pack = DEFAULT_PACK, options = config.DEFAULTS) {
+  const s = config.sizeSpec(options, sizeKey);
+  const k = options.kerf / 2;
+  const windowR = Math.max(0, options.windowRadius - k);
+  const { panelW, panelH } = panelSize(pack, s);
+  const { frame, dots, holes } = frameShapes(s, panelW, panelH, k);
 
-  // Mounting holes
-  [
-    [MOUNT_INSET, MOUNT_INSET],
-    [panelW - MOUNT_INSET, MOUNT_INSET],
-    [MOUNT_INSET, panelH - MOUNT_INSET],
-    [panelW - MOUNT_INSET, panelH - MOUNT_INSET],
-  ].forEach(([cx, cy]) => {
-    svg += `  ${circle(cx, cy, s.mountHole / 2, CUT_COLOR).trim()}\n`;
-  });
-
-  svg += '  </g>\n';
-
-  // Layer: Stencil letters (text elements — must be converted to paths in Inkscape)
-  svg += `  <g id="stencil-letters" inkscape:label="Stencil Cut" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape">\n`;
-
-  const fontSize = s.cutout * 0.75;
-  for (let row = 0; row < ROWS; row++) {
-    for (let col = 0; col < COLS; col++) {
-      const idx = row * COLS + col;
-      const cx = FRAME_BORDER + col * s.pitch + s.pitch / 2;
-      const cy = FRAME_BORDER + row * s.pitch + s.pitch / 2;
-      svg += `  <text x="${cx}" y="${cy}" font-family="Allerta Stencil, sans-serif" font-weight="400" ` +
-        `font-size="${fontSize}" fill="${CUT_COLOR}" stroke="none" ` +
-        `text-anchor="middle" dominant-baseline="central">${GRID_LETTERS[idx]}</text>\n`;
-    }
-  }
+  // One window per cell, centred in it
+  const windows = cells(pack, s).map(({ cx, cy }) =>
+    drawing.rect(cx - s.cutout / 2 + k, cy - s.cutout / 2 + k, s.cutout - 2 * k, s.cutout - 2 * k, windowR));
 
-  svg += '  </g>\n';
-  svg += svgFooter();
-
-  return { svg, panelW, panelH };
+  const fontSize = s.cutout * 0.6;
+  const labels = cells(pack, s).map(({ cx, cy, letter }) => drawing.text(cx, cy, letter, fontSize));
+
+  return {
+    width: panelW + 2 * k, height: panelH + 2 * k, origin: k, panelW, panelH,
+    layers: [
+      cutLayer('cut-lines', [frame, ...windows, ...dots, ...holes]),
+      { id: 'engrave-labels', label: 'Engrave', color: ENGRAVE_COLOR, dxfLayer: 'ENGRAVE', dxfText: false, shapes: labels },
+    ],
+  };
 }
 
 // ============================================================
-// DXF GENERATOR (AutoCAD R12 ASCII format)
+// STENCIL (Variant B)
 // ============================================================
 
-function dxfHeader() {
-  return `0\nSECTION\n2\nHEADER\n0\nENDSEC\n0\nSECTION\n2\nTABLES\n` +
-    `0\nTABLE\n2\nLAYER\n70\n2\n` +
-    // Layer CUT (red, color 1)
-    `0\nLAYER\n2\nCUT\n70\n0\n62\n1\n6\nCONTINUOUS\n` +
-    // Layer ENGRAVE (blue, color 5)
-    `0\nLAYER\n2\nENGRAVE\n70\n0\n62\n5\n6\nCONTINUOUS\n` +
-    `0\nENDTAB\n0\nENDSEC\n0\nSECTION\n2\nENTITIES\n`;
-}
-
-function dxfFooter() {
-  return '0\nENDSEC\n0\nEOF\n';
-}
-
-function dxfLine(x1, y1, x2, y2, layer = 'CUT') {
-  return `0\nLINE\n8\n${layer}\n10\n${x1}\n20\n${y1}\n30\n0\n11\n${x2}\n21\n${y2}\n31\n0\n`;
+// The letters are cut as the built-in stencil outlines (lib/stencil.js), with
+// bridges across every counter and the kerf offset into each letter like any
+// other opening.
+function stencilDrawing(sizeKey = 'L', pack = DEFAULT_PACK, options = config.DEFAULTS) {
+  const s = config.sizeSpec(options, sizeKey);
+  const k = options.kerf / 2;
+  const { panelW, panelH } = panelSize(pack, s);
+  const { frame, dots, holes } = frameShapes(s, panelW, panelH, k);
+
+  const glyph = { height: s.cutout * stencil.LETTER_HEIGHT, bridgeWidth: options.bridgeWidth, kerf: options.kerf };
+  const letters = cells(pack, s).flatMap(({ cx, cy, letter }) =>
+    stencil.glyphOutline(letter, glyph).loops.map(loop => drawing.path(loop.map(([x, y]) => [cx + x, cy + y]))));
+
+  return {
+    width: panelW + 2 * k, height: panelH + 2 * k, origin: k, panelW, panelH,
+    note: `STENCIL: letters are cut-ready outlines, ${options.bridgeWidth}mm bridges hold every counter`,
+    layers: [
+      cutLayer('cut-lines', [frame, ...dots, ...holes]),
+      { ...cutLayer('stencil-letters', letters), label: 'Stencil Cut' },
+    ],
+  };
 }
 
-function dxfCircle(cx, cy, r, layer = 'CUT') {
-  return `0\nCIRCLE\n8\n${layer}\n10\n${cx}\n20\n${cy}\n30\n0\n40\n${r}\n`;
-}
-
-// Draw a rectangle as 4 lines (DXF has no rect primitive)
-function dxfRect(x, y, w, h, layer = 'CUT') {
-  return dxfLine(x, y, x + w, y, layer) +
-    dxfLine(x + w, y, x + w, y + h, layer) +
-    dxfLine(x + w, y + h, x, y + h, layer) +
-    dxfLine(x, y + h, x, y, layer);
-}
-
-// Approximate rounded rectangle as polyline with arc segments
-function dxfRoundedRect(x, y, w, h, r, layer = 'CUT') {
-  // Simplify: use straight lines for DXF (rounded corners are cosmetic)
-  // Most laser services will accept this; exact rounding can be done in their CAD
-  return dxfRect(x, y, w, h, layer);
-}
+// ============================================================
+// SEPARATOR / BAFFLE GRID
+// ============================================================
 
-function generateGridDXF(sizeKey) {
-  const s = SIZES[sizeKey];
-  const gridW = COLS * s.pitch;
-  const gridH = ROWS * s.pitch;
-  const panelW = gridW + 2 * FRAME_BORDER;
-  const panelH = gridH + 2 * FRAME_BORDER;
-
-  let dxf = dxfHeader();
-
-  // Outer frame (DXF Y-axis goes up, so we flip Y for conventional orientation)
-  dxf += dxfRoundedRect(0, 0, panelW, panelH, CORNER_RADIUS, 'CUT');
-
-  // 110 cell windows
-  for (let row = 0; row < ROWS; row++) {
-    for (let col = 0; col < COLS; col++) {
-      const cx = FRAME_BORDER + col * s.pitch + s.pitch / 2;
-      const cy = FRAME_BORDER + row * s.pitch + s.pitch / 2;
-      const rx = cx - s.cutout / 2;
-      const ry = cy - s.cutout / 2;
-      dxf += dxfRect(rx, ry, s.cutout, s.cutout, 'CUT');
-    }
+// One strip as a single closed outline with its slots notched in from the
+// top (fromTop) or bottom edge, so CAM sees one contour per part. The strip
+// grows by k and the slots shrink by k, as everywhere else.
+function stripOutline(x0, y0, length, height, slotXs, slotWidth, fromTop, k) {
+  const slotH = height / 2;
+  const left = x0 - k, right = x0 + length + k, top = y0 - k, bottom = y0 + height + k;
+  const notch = (sx, edge, floor) => [[sx - slotWidth / 2 + k, edge], [sx - slotWidth / 2 + k, floor], [sx + slotWidth / 2 - k, floor], [sx + slotWidth / 2 - k, edge]];
+  if (fromTop) {
+    const floor = y0 + slotH - k;
+    return drawing.path([[left, top], ...slotXs.flatMap(sx => notch(sx, top, floor)), [right, top], [right, bottom], [left, bottom]]);
   }
-
-  // 4 corner dots
-  const dotR = s.cornerDot / 2;
-  const dotInset = FRAME_BORDER / 2;
-  [
-    [dotInset, dotInset],
-    [panelW - dotInset, dotInset],
-    [dotInset, panelH - dotInset],
-    [panelW - dotInset, panelH - dotInset],
-  ].forEach(([cx, cy]) => {
-    dxf += dxfCircle(cx, cy, dotR, 'CUT');
-  });
-
-  // 4 mounting holes
-  [
-    [MOUNT_INSET, MOUNT_INSET],
-    [panelW - MOUNT_INSET, MOUNT_INSET],
-    [MOUNT_INSET, panelH - MOUNT_INSET],
-    [panelW - MOUNT_INSET, panelH - MOUNT_INSET],
-  ].forEach(([cx, cy]) => {
-    dxf += dxfCircle(cx, cy, s.mountHole / 2, 'CUT');
-  });
-
-  // NOTE: No text entities in DXF — laser cutting services often reject them
-  // because fonts are unavailable on their systems. Letter labels are only
-  // included in the SVG files (engrave layer) for reference.
-
-  dxf += dxfFooter();
-  return { dxf, panelW, panelH };
+  const floor = y0 + height - slotH + k;
+  const notches = [...slotXs].reverse().flatMap(sx => notch(sx, bottom, floor).reverse());
+  return drawing.path([[left, top], [right, top], [right, bottom], ...notches, [left, bottom]]);
 }
 
-// ============================================================
-// SEPARATOR / BAFFLE GRID GENERATOR
-// ============================================================
-
-function generateSeparatorSVG() {
-  const s = SIZES.M;
-  const materialThickness = 3; // mm
-  const cellInner = s.pitch; // inner cell matches pitch
-  const slotDepth = (ROWS * s.pitch) / 2; // half-height slots for egg-crate
-  const gridW = COLS * s.pitch;
-  const gridH = ROWS * s.pitch;
+// options: settings from lib/config.js — size (default M), material
+// thickness and slot tolerance, strip depth and kerf (strips grow by half of
+// it, slots shrink, so both come out at their nominal size)
+function separatorDrawing(pack = DEFAULT_PACK, options = config.DEFAULTS) {
+  const { cols, rows } = pack;
+  const sizeKey = options.size || 'M';
+  const s = config.sizeSpec(options, sizeKey);
+  const k = options.kerf / 2;
+  const materialThickness = options.thickness; // mm
+  const gridW = cols * s.pitch;
+  const gridH = rows * s.pitch;
   const margin = 10; // drawing margin
 
   // We generate two sets of strips:
-  // - Horizontal strips (ROWS+1 count = 11): full width, with slots cut downward
-  // - Vertical strips (COLS+1 count = 12): full height, with slots cut upward
+  // - Horizontal strips (rows+1 count = 11): full width, with slots cut downward
+  // - Vertical strips (cols+1 count = 12): full height, with slots cut upward
 
-  const hStripCount = ROWS + 1; // 11 horizontal dividers
-  const vStripCount = COLS + 1; // 12 vertical dividers
-  const stripHeight = 20; // strip height (depth into the clock body) in mm
-  const slotWidth = materialThickness + 0.1; // slight clearance for press fit
+  const hStripCount = rows + 1; // 11 horizontal dividers
+  const vStripCount = cols + 1; // 12 vertical dividers
+  const stripHeight = options.depth; // strip height (depth into the clock body) in mm
+  const slotWidth = materialThickness + options.tolerance; // slight clearance for press fit
 
   // Layout: horizontal strips stacked vertically, then vertical strips below
   const hStripW = gridW;
@@ -351,105 +199,120 @@ function generateSeparatorSVG() {
   const vBlockH = vStripCount * (stripHeight + spacing);
   const totalH = hBlockH + vBlockH + 3 * margin;
 
-  let svg = svgHeader(totalW, totalH);
-
-  svg += `  <!-- SEPARATOR GRID (Egg-crate / baffle)
-       Material: 3mm MDF or acrylic
-       Assembly: Slide horizontal and vertical strips together at the slots
-       Horizontal strips: slots cut from TOP edge
-       Vertical strips: slots cut from BOTTOM edge
-  -->\n\n`;
-
-  svg += `  <g id="separator-cuts" inkscape:label="Cut" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape">\n`;
+  // Crossings, except at the ends of a strip
+  const crossings = count => Array.from({ length: count - 2 }, (_, i) => margin + (i + 1) * s.pitch);
+  const strips = [];
 
   // --- Horizontal strips ---
-  // Each horizontal strip spans the full grid width and has slots at each vertical divider position
+  // Each spans the full grid width, with a slot from the top edge at each vertical divider
   for (let i = 0; i < hStripCount; i++) {
-    const x0 = margin;
     const y0 = margin + i * (stripHeight + spacing);
-
-    // Outer rectangle of the strip
-    svg += `  ${rect(x0, y0, hStripW, stripHeight, CUT_COLOR).trim()}\n`;
-
-    // Slots from top edge at each vertical crossing (except edges)
-    for (let v = 1; v < vStripCount - 1; v++) {
-      const slotX = x0 + v * s.pitch - slotWidth / 2;
-      const slotY = y0;
-      const slotH = stripHeight / 2;
-      svg += `  ${rect(slotX, slotY, slotWidth, slotH, CUT_COLOR).trim()}\n`;
-    }
+    strips.push(stripOutline(margin, y0, hStripW, stripHeight, crossings(vStripCount), slotWidth, true, k));
   }
 
   // --- Vertical strips ---
+  // Slots from the bottom edge at each horizontal divider
   const vBlockY0 = margin + hBlockH + margin;
   for (let j = 0; j < vStripCount; j++) {
-    const x0 = margin;
     const y0 = vBlockY0 + j * (stripHeight + spacing);
-
-    // Outer rectangle
-    svg += `  ${rect(x0, y0, vStripW, stripHeight, CUT_COLOR).trim()}\n`;
-
-    // Slots from bottom edge at each horizontal crossing (except edges)
-    for (let h = 1; h < hStripCount - 1; h++) {
-      const slotX = x0 + h * s.pitch - slotWidth / 2;
-      const slotY = y0 + stripHeight / 2;
-      const slotH = stripHeight / 2;
-      svg += `  ${rect(slotX, slotY, slotWidth, slotH, CUT_COLOR).trim()}\n`;
-    }
+    strips.push(stripOutline(margin, y0, vStripW, stripHeight, crossings(hStripCount), slotWidth, false, k));
   }
 
-  svg += '  </g>\n';
-  svg += svgFooter();
-
-  return { svg, totalW, totalH };
+  return {
+    width: totalW, height: totalH, sizeKey, totalW, totalH,
+    note: `SEPARATOR GRID (Egg-crate / baffle)
+       Material: ${options.profile ? config.materialProfile(options).label : `${materialThickness}mm MDF or acrylic`}
+       Assembly: Slide horizontal and vertical strips together at the slots
+       Horizontal strips: slots cut from TOP edge
+       Vertical strips: slots cut from BOTTOM edge
+ `,
+    layers: [cutLayer('separator-cuts', strips)],
+  };
 }
 
 // ============================================================
 // MAIN — Generate all files
 // ============================================================
 
-const outDir = __dirname;
+// Build every laser file in memory: [{ filename, content, summary }]
+// Files for a language other than the default get a "-<code>" suffix.
+// options: settings from lib/config.js — which artefacts and formats, size, kerf, …
+function buildFiles(pack = DEFAULT_PACK, options = {}) {
+  layout.assertLayout(pack);
+  const settings = config.mergeConfig(options);
+  const lang = pack.code === phrasing.DEFAULT_LANGUAGE ? '' : `-${pack.code}`;
+  const sizes = artefact => config.wants(settings, artefact) ? (settings.size ? [settings.size] : DEFAULT_SIZES[artefact]) : [];
+  const files = [];
+  const add = (name, d, summary) => {
+    for (const format of settings.laserFormats) {
+      files.push({ filename: `${name}${lang}.${format}`, content: FORMATS[format].write(d), summary });
+    }
+  };
 
-console.log('Swedish Word Clock — Laser File Generator');
-console.log('==========================================\n');
+  // Variant A: Grid (all three sizes by default)
+  for (const sizeKey of sizes('grid')) {
+    const d = gridDrawing(sizeKey, pack, settings);
+    add(`wordclock-grid-${sizeKey}`, d, `(${d.panelW} × ${d.panelH} mm) — ${config.sizeSpec(settings, sizeKey).label}`);
+  }
 
-// Variant A: Grid SVGs in three sizes
-for (const sizeKey of ['S', 'M', 'L']) {
-  const filename = `wordclock-grid-${sizeKey}.svg`;
-  const { svg, panelW, panelH } = generateGridSVG(sizeKey);
-  const filepath = path.join(outDir, filename);
-  fs.writeFileSync(filepath, svg, 'utf-8');
-  console.log(`✓ ${filename}  (${panelW} × ${panelH} mm) — ${SIZES[sizeKey].label}`);
-}
+  // Variant B: Stencil
+  for (const sizeKey of sizes('stencil')) {
+    const d = stencilDrawing(sizeKey, pack, settings);
+    add(`wordclock-stencil-${sizeKey}`, d, `(${d.panelW} × ${d.panelH} mm) — Stencil variant`);
+  }
+
+  // Separator grid
+  for (const sizeKey of sizes('separator')) {
+    const d = separatorDrawing(pack, { ...settings, size: sizeKey });
+    add(`separator-${sizeKey}`, d, `(${d.totalW} × ${d.totalH} mm) — Egg-crate baffle grid`);
+  }
 
-// Variant B: Stencil SVG (L size for laser cutting)
-{
-  const filename = 'wordclock-stencil-L.svg';
-  const { svg, panelW, panelH } = generateStencilSVG('L');
-  const filepath = path.join(outDir, filename);
-  fs.writeFileSync(filepath, svg, 'utf-8');
-  console.log(`✓ ${filename}  (${panelW} × ${panelH} mm) — Stencil variant`);
+  return files;
 }
 
-// Separator grid (M only)
-{
-  const filename = 'separator-M.svg';
-  const { svg, totalW, totalH } = generateSeparatorSVG();
-  const filepath = path.join(outDir, filename);
-  fs.writeFileSync(filepath, svg, 'utf-8');
-  console.log(`✓ ${filename}  — Egg-crate baffle grid`);
+const OUT_DIR = __dirname;
+
+// Write the files for one set of settings (lib/config.js); returns true when
+// everything was written
+function run(settings) {
+  const pack = phrasing.getLanguage(settings.lang || phrasing.DEFAULT_LANGUAGE);
+  const files = buildFiles(pack, settings);
+  const outDir = settings.outDir || OUT_DIR;
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+
+  console.log('Swedish Word Clock — Laser File Generator');
+  console.log('==========================================\n');
+  console.log(`Language: ${pack.name} (${pack.code}), ${pack.cols}×${pack.rows} grid`);
+  const profile = config.materialProfile(settings);
+  console.log(`Material: ${profile ? `${profile.label}, ` : ''}${settings.thickness}mm, kerf: ${settings.kerf}mm, ` +
+    `slot tolerance: ${settings.tolerance}mm, separator depth: ${settings.depth}mm`);
+  if (settings.kerf > 0) console.log(`Cut paths offset by ${settings.kerf / 2}mm: outward around each part, inward in every hole and slot`);
+  console.log('');
+  if (!files.length) console.log(`! No laser artefacts selected (--only ${settings.artefacts.join(',')})`);
+
+  for (const { filename, content, summary } of files) {
+    fs.writeFileSync(path.join(outDir, filename), content, 'utf-8');
+    console.log(`✓ ${filename}  ${summary}`);
+  }
+
+  console.log('\nDone! Open SVG files in a browser or Inkscape to verify.');
+  for (const format of settings.laserFormats) console.log(`${format.toUpperCase()}: ${FORMATS[format].note}`);
+  if (config.wants(settings, 'stencil')) console.log(`Stencil letters are cut-ready outlines with ${settings.bridgeWidth}mm bridges.`);
+  return true;
 }
 
-// DXF for Scandcut (L size only — their preferred format)
-{
-  const filename = 'wordclock-grid-L.dxf';
-  const { dxf, panelW, panelH } = generateGridDXF('L');
-  const filepath = path.join(outDir, filename);
-  fs.writeFileSync(filepath, dxf, 'utf-8');
-  console.log(`✓ ${filename}  (${panelW} × ${panelH} mm) — DXF for Scandcut/CAD`);
+function main() {
+  try {
+    run(config.resolveConfig(process.argv.slice(2), file => fs.readFileSync(file, 'utf-8')));
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  }
 }
 
-console.log('\nDone! Open SVG files in a browser or Inkscape to verify.');
-console.log('DXF files can be opened in any CAD program (FreeCAD, AutoCAD, LibreCAD).');
-console.log('For stencil variant: install "Allerta Stencil" font, open in Inkscape,');
-console.log('select all text → Path > Object to Path before sending to laser cutter.');
+module.exports = {
+  FORMATS, gridDrawing, stencilDrawing, separatorDrawing,
+  buildFiles, run, OUT_DIR,
+};
+
+if (require.main === module) main();
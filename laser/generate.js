@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// generate.js — One command for every laser and 3D file
+// Runs the generators in this directory with one set of settings: flags, a
+// JSON or YAML config file, or both (flags win). Only the generators that
+// make a selected artefact run. Settings and their validation: lib/config.js.
+// No dependencies required.
+//
+// Usage:
+//   node laser/generate.js [--config clock.yaml] [--lang sv] [--size S|M|L]
+//                          [--pitch 45] [--cutout 37] [--thickness 3] [--kerf 0.15]
+//                          [--depth 20] [--out dir] [--only grid,stencil,separator,backplate,frontplate]
+//                          [--laser-formats svg,dxf,pdf] [--bed 220x220] [--format binary|ascii|3mf]
+//                          [--joint tab|dovetail|pin] [--clearance 0.2] [--material PLA|PETG] [--preview]
+//
+// Example config (clock.yaml):
+//   size: M
+//   thickness: 4
+//   kerf: 0.15
+//   outDir: build
+//   artefacts: [grid, separator]
+//   laserFormats: [svg, dxf]
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../lib/config');
+
+function main() {
+  const settings = config.resolveConfig(process.argv.slice(2), file => fs.readFileSync(file, 'utf-8'));
+  const scripts = [...new Set(settings.artefacts.map(a => config.ARTEFACTS[a]))];
+  let ok = true;
+  scripts.forEach((script, n) => {
+    if (n > 0) console.log('');
+    ok = require(path.join(__dirname, script)).run(settings) && ok;
+  });
+  if (!ok) process.exit(1);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`✗ ${e.message}`);
+  process.exit(1);
+}
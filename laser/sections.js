@@ -0,0 +1,43 @@
+// sections.js — Section split shared by the 3D generators
+// generate-backplate.js and generate-frontplate-test.js both read the print
+// plan (printPlan in lib/layout.js) from sections.json next to this file, so
+// their seams always line up. Either generator re-splits for another bed or
+// size preset and rewrites the manifest; without a manifest the defaults from
+// lib/layout.js apply. Runs with their own output directory keep their own
+// manifest there. No dependencies required.
+
+const fs = require('fs');
+const path = require('path');
+const layout = require('../lib/layout');
+
+const MANIFEST = path.join(__dirname, 'sections.json');
+
+// The plan in effect: the manifest if there is one, else the default
+function loadPlan(pack, file = MANIFEST) {
+  if (!fs.existsSync(file)) return layout.defaultPlan(pack);
+  return layout.planFromManifest(pack, JSON.parse(fs.readFileSync(file, 'utf-8')));
+}
+
+// Manifest for a generator run: next to the output when it has its own
+// directory (lib/config.js outDir)
+function manifestFor(settings) {
+  return settings.outDir ? path.join(settings.outDir, path.basename(MANIFEST)) : MANIFEST;
+}
+
+// Plan for a generator run. With a size and/or bed ([x, y] in mm) the grid is
+// re-split and the manifest rewritten; without, the plan both generators
+// already share. Returns { plan, written } — written when the manifest changed.
+function resolvePlan(pack, { size, bed } = {}, file = MANIFEST) {
+  if (!size && !bed) return { plan: loadPlan(pack, file), written: false };
+  const current = loadPlan(pack, file);
+  const plan = layout.printPlan(pack, { size: size || current.size, bed: bed || current.bed });
+  const text = JSON.stringify(layout.planManifest(pack, plan), null, 2) + '\n';
+  const written = !fs.existsSync(file) || fs.readFileSync(file, 'utf-8') !== text;
+  if (written) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text, 'utf-8');
+  }
+  return { plan, written };
+}
+
+module.exports = { MANIFEST, loadPlan, manifestFor, resolvePlan };
@@ -0,0 +1,291 @@
+// config.js — Generator settings from flags and config files
+// One set of settings for every generator in laser/: size preset (with
+// optional pitch/cutout overrides), laser material (thickness, kerf and slot
+// tolerance, or a supplier's material profile), cell depth, output directory
+// and which artefacts to produce in which laser file formats. Settings start
+// from DEFAULTS, then a JSON or YAML config file (--config), then
+// command-line flags; a profile fills in whatever material values are not set
+// explicitly. validateConfig() rejects combinations that cannot be built.
+// Loaded by the generators in laser/ via require(). No dependencies required.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./layout'), require('./mesh-validator'), require('./stencil'));
+  else root.WordClockConfig = factory(root.WordClockLayout, root.WordClockMeshValidator, root.WordClockStencil);
+})(typeof self !== 'undefined' ? self : this, function (layout, meshValidator, stencil) {
+
+  const { SIZES, FRAME_BORDER } = layout;
+
+  // Artefact → the generator in laser/ that makes it
+  const ARTEFACTS = {
+    grid: 'generate-laser-files.js',
+    stencil: 'generate-laser-files.js',
+    separator: 'generate-laser-files.js',
+    backplate: 'generate-backplate.js',
+    frontplate: 'generate-frontplate-test.js',
+  };
+
+  // ============================================================
+  // MATERIAL PROFILES
+  // Typical values for each supplier and sheet; cut a test piece or ask the
+  // supplier when a fit matters. kerf is the width the beam removes, tolerance
+  // the extra width a separator slot gets for a push fit.
+  // ============================================================
+  const PROFILES = {
+    'scandcut-steel':     { label: 'Scandcut, 1.5mm steel (fibre laser)',     thickness: 1.5, kerf: 0.15, tolerance: 0.1 },
+    'scandcut-aluminium': { label: 'Scandcut, 2mm aluminium (fibre laser)',   thickness: 2,   kerf: 0.2,  tolerance: 0.1 },
+    'acrylic-3':          { label: '3mm cast acrylic (CO₂ laser)',            thickness: 3,   kerf: 0.2,  tolerance: 0.05 },
+    'mdf-3':              { label: '3mm MDF (CO₂ laser)',                     thickness: 3,   kerf: 0.2,  tolerance: 0.1 },
+    'plywood-4':          { label: '4mm birch plywood (CO₂ laser)',           thickness: 4,   kerf: 0.25, tolerance: 0.15 },
+  };
+  const PROFILE_KEYS = ['thickness', 'kerf', 'tolerance'];
+
+  // File formats the laser files can be written in (lib/drawing.js)
+  const LASER_FORMATS = ['svg', 'dxf', 'pdf'];
+
+  // null leaves the choice to each generator: its own sizes (every size for
+  // the laser files, 3D sections from laser/sections.json),
+  // its own output directory, and its own format/joint/material defaults.
+  const DEFAULTS = {
+    lang: null,        // language pack code
+    size: null,        // size preset (S, M, L) for every artefact
+    pitch: null,       // mm, overrides the preset's pitch (laser files only)
+    cutout: null,      // mm, overrides the preset's window size (laser files only)
+    windowRadius: 0,   // mm, corner radius of the cell windows (laser files)
+    bridgeWidth: 1,    // mm, material left across each counter of a stencil letter
+    profile: null,     // material profile name (PROFILES), or { thickness, kerf, tolerance }
+    thickness: 3,      // mm, laser-cut material (separator strips and slots)
+    kerf: 0,           // mm, width of the laser cut; cut paths are offset by half
+    tolerance: 0.1,    // mm, separator slots are this much wider than the material
+    depth: 20,         // mm, cell depth (backplate walls, separator strips)
+    outDir: null,
+    artefacts: Object.keys(ARTEFACTS),
+    laserFormats: ['svg', 'dxf'], // laser file formats, any of LASER_FORMATS
+    bed: null,         // [x, y] mm, re-splits the 3D sections
+    format: null,
+    joint: null,
+    clearance: null,
+    material: null,
+    preview: false,
+  };
+
+  // Command-line flag → [setting, type]
+  const FLAGS = {
+    lang: ['lang', 'string'],
+    size: ['size', 'string'],
+    pitch: ['pitch', 'number'],
+    cutout: ['cutout', 'number'],
+    'window-radius': ['windowRadius', 'number'],
+    'bridge-width': ['bridgeWidth', 'number'],
+    profile: ['profile', 'string'],
+    thickness: ['thickness', 'number'],
+    kerf: ['kerf', 'number'],
+    tolerance: ['tolerance', 'number'],
+    depth: ['depth', 'number'],
+    out: ['outDir', 'string'],
+    only: ['artefacts', 'list'],
+    'laser-formats': ['laserFormats', 'list'],
+    bed: ['bed', 'string'],
+    format: ['format', 'string'],
+    joint: ['joint', 'string'],
+    clearance: ['clearance', 'number'],
+    material: ['material', 'string'],
+    preview: ['preview', 'flag'],
+  };
+
+  // ============================================================
+  // PARSING
+  // ============================================================
+
+  function parseScalar(text) {
+    const t = text.trim();
+    if (/^(['"]).*\1$/.test(t)) return t.slice(1, -1);
+    if (t === 'true' || t === 'false') return t === 'true';
+    if (t === 'null' || t === '~' || t === '') return null;
+    if (/^-?\d+(\.\d+)?$/.test(t)) return parseFloat(t);
+    if (/^\[.*\]$/.test(t)) return t.slice(1, -1).split(',').map(parseScalar).filter(v => v !== null);
+    return t;
+  }
+
+  // The YAML a config file needs: "key: value" lines, inline [a, b] lists or
+  // "- item" lines under a key, quoted strings and # comments.
+  function parseYAML(text) {
+    const result = {};
+    let listKey = null;
+    text.split(/\r?\n/).forEach((raw, n) => {
+      const line = raw.replace(/(^|\s)#.*$/, '').trimEnd();
+      if (!line.trim()) return;
+      const item = /^\s+-\s*(.*)$/.exec(line) || /^-\s*(.*)$/.exec(line);
+      if (item && listKey) { result[listKey].push(parseScalar(item[1])); return; }
+      const pair = /^([A-Za-z][\w-]*)\s*:\s*(.*)$/.exec(line);
+      if (!pair) throw new Error(`Config line ${n + 1}: expected "key: value", got "${raw.trim()}"`);
+      if (pair[2] === '') { result[pair[1]] = []; listKey = pair[1]; return; }
+      result[pair[1]] = parseScalar(pair[2]);
+      listKey = null;
+    });
+    return result;
+  }
+
+  // Settings from a config file's text; the extension picks JSON or YAML
+  function parseConfigFile(text, filename) {
+    if (/\.ya?ml$/i.test(filename)) return parseYAML(text);
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error(`${filename}: ${e.message}`);
+    }
+  }
+
+  // argv (without node and the script) → { file, settings } with only the
+  // settings given on the command line
+  function parseArgs(argv) {
+    const settings = {};
+    let file = null;
+    const valueOf = i => {
+      if (argv[i] === undefined || argv[i].startsWith('--')) throw new Error(`${argv[i - 1]} needs a value`);
+      return argv[i];
+    };
+    for (let i = 0; i < argv.length; i++) {
+      if (!argv[i].startsWith('--'))
+        throw new Error(`Unknown argument "${argv[i]}" (settings are given as --flag value)`);
+      const name = argv[i].slice(2);
+      if (name === 'config') { file = valueOf(++i); continue; }
+      if (!FLAGS[name]) throw new Error(`Unknown option --${name} (available: ${['config', ...Object.keys(FLAGS)].map(f => '--' + f).join(', ')})`);
+      const [key, type] = FLAGS[name];
+      if (type === 'flag') { settings[key] = true; continue; }
+      const value = valueOf(++i);
+      if (type === 'number') {
+        settings[key] = parseFloat(value);
+        if (!Number.isFinite(settings[key])) throw new Error(`--${name} takes a number, got "${value}"`);
+      } else {
+        settings[key] = type === 'list' ? value.split(',').map(s => s.trim()).filter(Boolean) : value;
+      }
+    }
+    return { file, settings };
+  }
+
+  // ============================================================
+  // SETTINGS
+  // ============================================================
+
+  // A profile setting as { label, thickness, kerf, tolerance }, or null
+  function materialProfile(config) {
+    if (config.profile == null) return null;
+    if (typeof config.profile === 'object') return { label: 'custom material', ...config.profile };
+    const profile = PROFILES[config.profile];
+    if (!profile) throw new Error(`Unknown material profile "${config.profile}" (available: ${Object.keys(PROFILES).join(', ')})`);
+    return profile;
+  }
+
+  // DEFAULTS plus any number of partial settings, later ones winning. A
+  // profile supplies the material values no layer sets. A bed may be given as
+  // '220x220' or [220, 220].
+  function mergeConfig(...layers) {
+    const config = { ...DEFAULTS };
+    const explicit = new Set();
+    for (const layer of layers) {
+      for (const [key, value] of Object.entries(layer || {})) {
+        if (!(key in DEFAULTS)) throw new Error(`Unknown setting "${key}" (available: ${Object.keys(DEFAULTS).join(', ')})`);
+        if (value !== undefined) { config[key] = value; explicit.add(key); }
+      }
+    }
+    const profile = materialProfile(config);
+    if (profile) for (const key of PROFILE_KEYS) if (!explicit.has(key) && profile[key] != null) config[key] = profile[key];
+    if (typeof config.bed === 'string') config.bed = meshValidator.parseBed(config.bed);
+    if (typeof config.artefacts === 'string') config.artefacts = [config.artefacts];
+    if (typeof config.laserFormats === 'string') config.laserFormats = [config.laserFormats];
+    return config;
+  }
+
+  // A size preset with the config's pitch/cutout overrides applied when it is
+  // the configured size
+  function sizeSpec(config, sizeKey) {
+    const base = SIZES[sizeKey];
+    if (!base) throw new Error(`Unknown size "${sizeKey}" (available: ${Object.keys(SIZES).join(', ')})`);
+    if (sizeKey !== config.size || (config.pitch == null && config.cutout == null)) return base;
+    const pitch = config.pitch != null ? config.pitch : base.pitch;
+    const cutout = config.cutout != null ? config.cutout : base.cutout;
+    return { ...base, pitch, cutout, label: `${base.label}, ${pitch}mm pitch, ${cutout}mm windows` };
+  }
+
+  function wants(config, artefact) {
+    return config.artefacts.includes(artefact);
+  }
+
+  // Returns a list of settings that cannot be built together; empty when the
+  // config is sane.
+  function validateConfig(config) {
+    const errors = [];
+    const positive = (key, unit = 'mm') => {
+      if (config[key] != null && !(typeof config[key] === 'number' && config[key] > 0))
+        errors.push(`${key} must be a positive number of ${unit}, got ${JSON.stringify(config[key])}`);
+    };
+    ['pitch', 'cutout', 'thickness', 'depth', 'bridgeWidth'].forEach(key => positive(key));
+    if (!(typeof config.kerf === 'number' && config.kerf >= 0 && config.kerf < 1))
+      errors.push(`kerf must be between 0 and 1mm, got ${JSON.stringify(config.kerf)}`);
+    if (!(typeof config.windowRadius === 'number' && config.windowRadius >= 0))
+      errors.push(`windowRadius must be 0 or more mm, got ${JSON.stringify(config.windowRadius)}`);
+    if (!(typeof config.tolerance === 'number' && config.tolerance >= 0 && config.tolerance < 1))
+      errors.push(`tolerance must be between 0 and 1mm, got ${JSON.stringify(config.tolerance)}`);
+    if (!Array.isArray(config.artefacts) || !config.artefacts.length)
+      errors.push(`artefacts must list at least one of ${Object.keys(ARTEFACTS).join(', ')}`);
+    else for (const a of config.artefacts) {
+      if (a === 'dxf') errors.push('"dxf" is not an artefact; choose file formats with laserFormats (--laser-formats svg,dxf)');
+      else if (!ARTEFACTS[a]) errors.push(`Unknown artefact "${a}" (available: ${Object.keys(ARTEFACTS).join(', ')})`);
+    }
+    if (!Array.isArray(config.laserFormats) || !config.laserFormats.length)
+      errors.push(`laserFormats must list at least one of ${LASER_FORMATS.join(', ')}`);
+    else for (const f of config.laserFormats)
+      if (!LASER_FORMATS.includes(f)) errors.push(`Unknown laser format "${f}" (available: ${LASER_FORMATS.join(', ')})`);
+    if (config.bed && !(Array.isArray(config.bed) && config.bed.length === 2 && config.bed.every(v => v > 0)))
+      errors.push(`bed must be X×Y in mm, got ${JSON.stringify(config.bed)}`);
+    if (errors.length) return errors;
+
+    if (config.size != null && !SIZES[config.size]) {
+      errors.push(`Unknown size "${config.size}" (available: ${Object.keys(SIZES).join(', ')})`);
+      return errors;
+    }
+    if ((config.pitch != null || config.cutout != null) && config.size == null)
+      errors.push('pitch and cutout adjust a size preset — set size as well');
+    if ((config.pitch != null || config.cutout != null) && (wants(config, 'backplate') || wants(config, 'frontplate')))
+      errors.push('pitch and cutout only apply to the laser files — the 3D sections use the size presets (drop backplate/frontplate from artefacts)');
+
+    // Every size the laser files will be drawn in
+    const sizeKeys = config.size ? [config.size] : Object.keys(SIZES);
+    for (const key of sizeKeys) {
+      const s = sizeSpec(config, key);
+      const tag = config.size ? `size ${key}` : `SIZES.${key}`;
+      if (s.cutout >= s.pitch)
+        errors.push(`${tag}: cutout ${s.cutout}mm is not smaller than the ${s.pitch}mm pitch — neighbouring windows would merge`);
+      else if (s.pitch - s.cutout <= config.kerf)
+        errors.push(`${tag}: the ${(s.pitch - s.cutout).toFixed(2)}mm web between windows does not survive a ${config.kerf}mm kerf`);
+      if (config.windowRadius > s.cutout / 2)
+        errors.push(`${tag}: ${config.windowRadius}mm window corners do not fit a ${s.cutout}mm window`);
+      if (Math.min(s.cutout, s.cornerDot, s.mountHole) <= config.kerf)
+        errors.push(`${tag}: a ${config.kerf}mm kerf is as wide as the smallest hole`);
+      if (wants(config, 'separator') && config.thickness + config.tolerance >= s.pitch)
+        errors.push(`${tag}: ${config.thickness}mm separator strips (${config.thickness + config.tolerance}mm slots) are as wide as the ${s.pitch}mm pitch`);
+      const stroke = s.cutout * stencil.LETTER_HEIGHT * stencil.STROKE;
+      if (wants(config, 'stencil') && config.bridgeWidth >= stroke)
+        errors.push(`${tag}: ${config.bridgeWidth}mm stencil bridges are as wide as the ${stroke.toFixed(2)}mm letter strokes`);
+      if (s.cornerDot >= FRAME_BORDER)
+        errors.push(`${tag}: corner dot ${s.cornerDot}mm does not fit in the ${FRAME_BORDER}mm frame border`);
+    }
+    return errors;
+  }
+
+  // Settings for a generator run: DEFAULTS, the --config file (read with
+  // readFile(path) → text) and the flags in argv. Throws listing every problem.
+  function resolveConfig(argv, readFile) {
+    const { file, settings } = parseArgs(argv);
+    const fromFile = file ? parseConfigFile(readFile(file), file) : {};
+    const config = mergeConfig(fromFile, settings);
+    const errors = validateConfig(config);
+    if (errors.length) throw new Error('Invalid settings:\n  ' + errors.join('\n  '));
+    return config;
+  }
+
+  return {
+    ARTEFACTS, PROFILES, LASER_FORMATS, DEFAULTS, FLAGS,
+    parseYAML, parseConfigFile, parseArgs, materialProfile, mergeConfig, sizeSpec, wants, validateConfig, resolveConfig,
+  };
+});
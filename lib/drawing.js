@@ -0,0 +1,310 @@
+// drawing.js — Laser drawings written as SVG, DXF and PDF
+// The laser generators describe each part once, as a drawing: a page size in
+// mm and named layers holding rectangles, circles, closed paths and text.
+// toSVG, toDXF and toPDF turn the same drawing into each supplier's format,
+// so every artefact comes out identical in all three. Coordinates are in mm
+// with y pointing down, as in SVG; the DXF and PDF writers flip them. Loaded
+// by laser/generate-laser-files.js via require(). No dependencies required.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WordClockDrawing = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const STROKE_WIDTH = 0.025; // hairline
+  const QUARTER_BULGE = Math.tan(Math.PI / 8); // bulge of a 90° arc: tan(angle / 4)
+  const INKSCAPE_NS = 'http://www.inkscape.org/namespaces/inkscape';
+
+  // ============================================================
+  // SHAPES
+  // A drawing is { width, height, origin, note, layers }. origin is how far
+  // the parts reach past 0,0 (the kerf offset of a frame), note an optional
+  // comment for the SVG. Each layer is { id, label, color, dxfLayer, dxfText,
+  // shapes }; dxfText keeps its text in the DXF (laser services usually
+  // reject text, so labels stay out by default).
+  // ============================================================
+
+  function rect(x, y, w, h, r = 0) {
+    return { type: 'rect', x, y, w, h, r };
+  }
+
+  function circle(cx, cy, r) {
+    return { type: 'circle', cx, cy, r };
+  }
+
+  // Closed outline through [x, y, bulge] points; a point's bulge curves the
+  // segment to the next point (0 = straight, positive = counter-clockwise as
+  // seen on the page, 1 = half circle), as in a DXF LWPOLYLINE
+  function path(points) {
+    return { type: 'path', points };
+  }
+
+  // Text centred on x, y
+  function text(x, y, value, size, font = 'sans-serif') {
+    return { type: 'text', x, y, value, size, font };
+  }
+
+  // A rectangle as a closed path, counter-clockwise, corners rounded to r
+  function rectPoints({ x, y, w, h, r }) {
+    if (!(r > 0)) return [[x, y + h], [x + w, y + h], [x + w, y], [x, y]];
+    const b = QUARTER_BULGE;
+    return [
+      [x + r, y + h], [x + w - r, y + h, b],
+      [x + w, y + h - r], [x + w, y + r, b],
+      [x + w - r, y], [x + r, y, b],
+      [x, y + r], [x, y + h - r, b],
+    ];
+  }
+
+  function circlePoints({ cx, cy, r }) {
+    return [[cx - r, cy, 1], [cx + r, cy, 1]];
+  }
+
+  // ============================================================
+  // SVG
+  // ============================================================
+
+  function svgShape(shape, color) {
+    const stroke = `stroke="${color}" stroke-width="${STROKE_WIDTH}" fill="none"`;
+    switch (shape.type) {
+      case 'rect':
+        return `<rect x="${shape.x}" y="${shape.y}" width="${shape.w}" height="${shape.h}" ` +
+          (shape.r > 0 ? `rx="${shape.r}" ry="${shape.r}" ` : '') + `${stroke} />`;
+      case 'circle':
+        return `<circle cx="${shape.cx}" cy="${shape.cy}" r="${shape.r}" ${stroke} />`;
+      case 'path':
+        return `<path d="${svgPathData(shape.points)}" ${stroke} />`;
+      case 'text':
+        return `<text x="${shape.x}" y="${shape.y}" font-family="${shape.font}" font-size="${shape.size}" ` +
+          `fill="${color}" text-anchor="middle" dominant-baseline="central">${escapeXML(shape.value)}</text>`;
+      default:
+        throw new Error(`Unknown shape type "${shape.type}"`);
+    }
+  }
+
+  // Bulges become arcs; y points down in SVG, so counter-clockwise on the page
+  // is sweep flag 0
+  function svgPathData(points) {
+    let d = `M${points[0][0]} ${points[0][1]}`;
+    points.forEach(([x0, y0, bulge = 0], i) => {
+      const [x1, y1] = points[(i + 1) % points.length];
+      if (!bulge) {
+        if (i < points.length - 1) d += ` L${x1} ${y1}`;
+        return;
+      }
+      const angle = 4 * Math.atan(Math.abs(bulge));
+      const r = Math.hypot(x1 - x0, y1 - y0) / 2 / Math.sin(angle / 2);
+      d += ` A${r} ${r} 0 ${angle > Math.PI ? 1 : 0} ${bulge > 0 ? 0 : 1} ${x1} ${y1}`;
+    });
+    return d + ' Z';
+  }
+
+  function escapeXML(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  function toSVG(drawing) {
+    const { width, height, origin = 0 } = drawing;
+    let svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg"
+     width="${width}mm" height="${height}mm"
+     viewBox="${-origin} ${-origin} ${width} ${height}">
+`;
+    if (drawing.note) svg += `  <!-- ${drawing.note} -->\n\n`;
+    for (const layer of drawing.layers) {
+      svg += `  <g id="${layer.id}" inkscape:label="${layer.label}" xmlns:inkscape="${INKSCAPE_NS}">\n`;
+      for (const shape of layer.shapes) svg += `  ${svgShape(shape, layer.color)}\n`;
+      svg += '  </g>\n';
+    }
+    return svg + '</svg>\n';
+  }
+
+  // ============================================================
+  // DXF (AutoCAD R2000 ASCII format, millimetres)
+  // Every outline is one closed LWPOLYLINE (or a CIRCLE); rounded corners are
+  // polyline arcs, so laser CAM sees closed contours and exact radii. y is
+  // flipped to point up, which keeps the drawing the right way round.
+  // ============================================================
+
+  const DXF_COLORS = { CUT: 1, ENGRAVE: 5 }; // AutoCAD colour index; other layers white
+
+  function dxfLayers(drawing) {
+    const names = [...new Set(['CUT', 'ENGRAVE', ...drawing.layers.map(l => l.dxfLayer)])];
+    return `0\nTABLE\n2\nLAYER\n70\n${names.length}\n` +
+      names.map(name => `0\nLAYER\n2\n${name}\n70\n0\n62\n${DXF_COLORS[name] || 7}\n6\nCONTINUOUS\n`).join('') +
+      '0\nENDTAB\n';
+  }
+
+  function dxfPolyline(points, layer, flip) {
+    let dxf = `0\nLWPOLYLINE\n100\nAcDbEntity\n8\n${layer}\n100\nAcDbPolyline\n90\n${points.length}\n70\n1\n`;
+    for (const [x, y, bulge = 0] of points) {
+      dxf += `10\n${x}\n20\n${flip(y)}\n`;
+      if (bulge) dxf += `42\n${bulge}\n`;
+    }
+    return dxf;
+  }
+
+  // Non-ASCII letters as \U+XXXX, which every DXF reader decodes
+  function dxfString(value) {
+    return String(value).replace(/[^\x20-\x7e]/g, c => `\\U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+  }
+
+  function dxfShape(shape, layer, flip) {
+    switch (shape.type) {
+      case 'rect':
+        return dxfPolyline(rectPoints(shape), layer, flip);
+      case 'circle':
+        return `0\nCIRCLE\n100\nAcDbEntity\n8\n${layer}\n100\nAcDbCircle\n10\n${shape.cx}\n20\n${flip(shape.cy)}\n30\n0\n40\n${shape.r}\n`;
+      case 'path':
+        return dxfPolyline(shape.points, layer, flip);
+      case 'text':
+        // Middle-centred (72 = 1, 73 = 2) on the second alignment point
+        return `0\nTEXT\n100\nAcDbEntity\n8\n${layer}\n100\nAcDbText\n10\n${shape.x}\n20\n${flip(shape.y)}\n30\n0\n` +
+          `40\n${shape.size * 0.7}\n1\n${dxfString(shape.value)}\n72\n1\n11\n${shape.x}\n21\n${flip(shape.y)}\n31\n0\n` +
+          '100\nAcDbText\n73\n2\n';
+      default:
+        throw new Error(`Unknown shape type "${shape.type}"`);
+    }
+  }
+
+  function toDXF(drawing) {
+    const { height, origin = 0 } = drawing;
+    const flip = y => height - 2 * origin - y;
+    let dxf = '0\nSECTION\n2\nHEADER\n9\n$ACADVER\n1\nAC1015\n9\n$INSUNITS\n70\n4\n0\nENDSEC\n' +
+      `0\nSECTION\n2\nTABLES\n${dxfLayers(drawing)}0\nENDSEC\n0\nSECTION\n2\nENTITIES\n`;
+    for (const layer of drawing.layers) {
+      for (const shape of layer.shapes) {
+        if (shape.type === 'text' && !layer.dxfText) continue;
+        dxf += dxfShape(shape, layer.dxfLayer, flip);
+      }
+    }
+    return dxf + '0\nENDSEC\n0\nEOF\n';
+  }
+
+  // ============================================================
+  // PDF (one page at 1:1 scale, hairline vector paths)
+  // For suppliers that take PDF (Snijlab, Cotter). Arcs become Bézier curves;
+  // text is set in Helvetica, which every PDF reader has.
+  // ============================================================
+
+  const PT_PER_MM = 72 / 25.4;
+
+  // Helvetica advance widths (1/1000 em) for centring; others use 667
+  const HELVETICA_WIDTHS = {
+    A: 667, B: 667, C: 722, D: 722, E: 667, F: 611, G: 778, H: 722, I: 278, J: 500, K: 667, L: 556, M: 833,
+    N: 722, O: 778, P: 667, Q: 778, R: 722, S: 667, T: 611, U: 722, V: 667, W: 944, X: 667, Y: 667, Z: 611,
+    'Å': 667, 'Ä': 667, 'Ö': 778, 'Ü': 722, 'Æ': 1000, 'Ø': 778, ' ': 278,
+  };
+  const HELVETICA_CAP_HEIGHT = 0.718;
+
+  function pdfNumber(n) {
+    return String(Math.round(n * 10000) / 10000 || 0);
+  }
+
+  function pdfColor(hex) {
+    const v = parseInt(hex.replace('#', ''), 16);
+    return [v >> 16, (v >> 8) & 255, v & 255].map(c => pdfNumber(c / 255)).join(' ');
+  }
+
+  // Bézier segments for the arc from p0 to p1 with the given bulge, at most a
+  // quarter circle each: [[c1x, c1y, c2x, c2y, x, y], …]
+  function arcCurves([x0, y0], [x1, y1], bulge) {
+    // Work with y up so counter-clockwise is a positive angle
+    const sweep = 4 * Math.atan(bulge);
+    const dx = x1 - x0, dy = -(y1 - y0);
+    const chord = Math.hypot(dx, dy);
+    const r = chord / 2 / Math.sin(Math.abs(sweep) / 2);
+    const toCentre = Math.atan2(dy, dx) + Math.sign(sweep) * Math.PI / 2 - sweep / 2;
+    const cx = x0 + r * Math.cos(toCentre), cy = -y0 + r * Math.sin(toCentre);
+    const start = Math.atan2(-y0 - cy, x0 - cx);
+    const parts = Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9);
+    const step = sweep / parts;
+    const handle = 4 / 3 * Math.tan(step / 4) * r;
+    const curves = [];
+    for (let i = 0; i < parts; i++) {
+      const a0 = start + i * step, a1 = a0 + step;
+      curves.push([
+        cx + r * Math.cos(a0) - handle * Math.sin(a0), -(cy + r * Math.sin(a0) + handle * Math.cos(a0)),
+        cx + r * Math.cos(a1) + handle * Math.sin(a1), -(cy + r * Math.sin(a1) - handle * Math.cos(a1)),
+        cx + r * Math.cos(a1), -(cy + r * Math.sin(a1)),
+      ]);
+    }
+    return curves;
+  }
+
+  function pdfPath(points) {
+    let ops = `${pdfNumber(points[0][0])} ${pdfNumber(points[0][1])} m\n`;
+    points.forEach((p, i) => {
+      const next = points[(i + 1) % points.length];
+      if (p[2]) {
+        for (const curve of arcCurves(p, next, p[2])) ops += curve.map(pdfNumber).join(' ') + ' c\n';
+      } else if (i < points.length - 1) {
+        ops += `${pdfNumber(next[0])} ${pdfNumber(next[1])} l\n`;
+      }
+    });
+    return ops + 's\n';
+  }
+
+  // WinAnsi covers the Latin-1 letters of every language pack
+  function pdfString(value) {
+    return String(value).replace(/[\\()]/g, c => '\\' + c)
+      .replace(/[^\x20-\x7e]/g, c => c.charCodeAt(0) < 256 ? '\\' + c.charCodeAt(0).toString(8).padStart(3, '0') : '?');
+  }
+
+  function pdfText(shape) {
+    const width = [...String(shape.value)].reduce((sum, c) => sum + (HELVETICA_WIDTHS[c] || 667), 0) / 1000 * shape.size;
+    // The page is flipped, so the text matrix flips the letters back
+    return `BT /F1 ${pdfNumber(shape.size)} Tf 1 0 0 -1 ${pdfNumber(shape.x - width / 2)} ` +
+      `${pdfNumber(shape.y + shape.size * HELVETICA_CAP_HEIGHT / 2)} Tm (${pdfString(shape.value)}) Tj ET\n`;
+  }
+
+  function pdfShape(shape) {
+    switch (shape.type) {
+      case 'rect': return pdfPath(rectPoints(shape));
+      case 'circle': return pdfPath(circlePoints(shape));
+      case 'path': return pdfPath(shape.points);
+      case 'text': return pdfText(shape);
+      default: throw new Error(`Unknown shape type "${shape.type}"`);
+    }
+  }
+
+  // Returns the file as a latin1 string (one byte per character)
+  function toPDF(drawing) {
+    const { width, height, origin = 0 } = drawing;
+    const s = PT_PER_MM;
+    // mm with y down → points with y up
+    let content = `${pdfNumber(s)} 0 0 ${pdfNumber(-s)} ${pdfNumber(origin * s)} ${pdfNumber((height - origin) * s)} cm\n` +
+      `${pdfNumber(STROKE_WIDTH)} w 1 J 1 j\n`;
+    for (const layer of drawing.layers) {
+      const color = pdfColor(layer.color);
+      content += `% ${layer.label}\n${color} RG ${color} rg\n`;
+      for (const shape of layer.shapes) content += pdfShape(shape);
+    }
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNumber(width * s)} ${pdfNumber(height * s)}] ` +
+        '/Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      `<< /Length ${content.length} >>\nstream\n${content}endstream`,
+    ];
+    let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((body, i) => {
+      const offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+      offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('') +
+      `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+  }
+
+  return {
+    STROKE_WIDTH, QUARTER_BULGE,
+    rect, circle, path, text, rectPoints,
+    toSVG, toDXF, toPDF,
+  };
+});
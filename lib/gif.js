@@ -0,0 +1,122 @@
+// gif.js — Minimal animated GIF encoder
+// Encodes RGB frames (e.g. from lib/snapshot.js's rasterizer) as a looping
+// GIF89a with one shared 256-colour palette. Loaded by index.html via
+// <script src> (window.WordClockGif) and by tools/snapshot.js.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WordClockGif = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // ============================================================
+  // PALETTE
+  // ============================================================
+
+  // The 256 most common colours at 5 bits per channel, sampled across all
+  // frames; faces only hold a few blends of theme colours, so this is plenty.
+  function buildPalette(frames) {
+    const counts = new Map();
+    for (const rgb of frames) {
+      for (let i = 0; i < rgb.length; i += 3 * 3) {
+        const key = (rgb[i] >> 3) << 10 | (rgb[i + 1] >> 3) << 5 | rgb[i + 2] >> 3;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+    const keys = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a)).slice(0, 256);
+    const palette = keys.map(k => [(k >> 10) << 3 | 4, ((k >> 5) & 31) << 3 | 4, (k & 31) << 3 | 4]);
+    while (palette.length < 256) palette.push([0, 0, 0]);
+    return palette;
+  }
+
+  function indexFrame(rgb, palette, cache) {
+    const out = new Uint8Array(rgb.length / 3);
+    for (let p = 0; p < out.length; p++) {
+      const r = rgb[p * 3], g = rgb[p * 3 + 1], b = rgb[p * 3 + 2];
+      const key = (r >> 3) << 10 | (g >> 3) << 5 | b >> 3;
+      if (cache[key] < 0) {
+        let best = 0, bestDist = Infinity;
+        palette.forEach(([pr, pg, pb], n) => {
+          const dist = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+          if (dist < bestDist) { best = n; bestDist = dist; }
+        });
+        cache[key] = best;
+      }
+      out[p] = cache[key];
+    }
+    return out;
+  }
+
+  // ============================================================
+  // LZW
+  // ============================================================
+
+  function lzw(indices, out) {
+    const minCodeSize = 8, clearCode = 1 << minCodeSize, endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1, nextCode = endCode + 1, table = new Map();
+    let bits = 0, bitCount = 0, block = [];
+    const emit = code => {
+      bits |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        block.push(bits & 0xff);
+        bits >>>= 8;
+        bitCount -= 8;
+        if (block.length === 255) { out.push(255, ...block); block = []; }
+      }
+    };
+
+    out.push(minCodeSize);
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = prefix << 8 | k;
+      const code = table.get(key);
+      if (code !== undefined) { prefix = code; continue; }
+      emit(prefix);
+      if (nextCode === 4096) {
+        emit(clearCode);
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+        table = new Map();
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        table.set(key, nextCode++);
+      }
+      prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) block.push(bits & 0xff);
+    if (block.length) out.push(block.length, ...block);
+    out.push(0);
+  }
+
+  // ============================================================
+  // FILE
+  // ============================================================
+
+  // frames: Uint8Array RGB per frame; options.delay in 1/100 s (default 50).
+  // Returns a Uint8Array holding the .gif file.
+  function encodeGIF(frames, width, height, options = {}) {
+    const delay = options.delay === undefined ? 50 : options.delay;
+    const palette = buildPalette(frames);
+    const cache = new Int16Array(1 << 15).fill(-1);
+    const word = n => [n & 0xff, n >> 8];
+    const out = [];
+    out.push(...[...'GIF89a'].map(c => c.charCodeAt(0)));
+    out.push(...word(width), ...word(height), 0xf7, 0, 0); // global 256-colour table
+    palette.forEach(rgb => out.push(...rgb));
+    // Loop forever (NETSCAPE2.0 application extension)
+    out.push(0x21, 0xff, 11, ...[...'NETSCAPE2.0'].map(c => c.charCodeAt(0)), 3, 1, 0, 0, 0);
+    for (const rgb of frames) {
+      out.push(0x21, 0xf9, 4, 0x04, ...word(delay), 0, 0); // graphic control: keep frame, delay
+      out.push(0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0);
+      lzw(indexFrame(rgb, palette, cache), out);
+    }
+    out.push(0x3b);
+    return Uint8Array.from(out);
+  }
+
+  return { encodeGIF };
+});
@@ -0,0 +1,65 @@
+// da.js — Danish language pack
+// Danish uses the same half-hour system as Swedish ("FEM MINUTTER I HALV FEM"
+// = 16:25) and spells out MINUTTER for every minute count except KVART.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.WordClockLanguages = root.WordClockLanguages || {}).da = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const GRID_LETTERS = [
+    'K','L','O','K','K','E','N','V','E','R','S',
+    'F','E','M','H','T','I','X','T','Y','V','E',
+    'M','I','N','U','T','T','E','R','L','A','K',
+    'K','V','A','R','T','S','O','V','E','R','B',
+    'I','D','H','A','L','V','X','E','T','T','O',
+    'T','R','E','S','F','I','R','E','F','E','M',
+    'S','E','K','S','S','Y','V','O','T','T','E',
+    'N','I','R','T','I','E','L','L','E','V','E',
+    'T','O','L','V','M','I','D','D','A','G','S',
+    'G','O','D','N','A','T','P','Å','D','I','G'
+  ];
+
+  const WORDS = {
+    KLOKKEN:[0,1,2,3,4,5,6], ER:[8,9], FEM_MIN:[11,12,13], TI_MIN:[15,16],
+    TYVE:[18,19,20,21], MINUTTER:[22,23,24,25,26,27,28,29],
+    KVART:[33,34,35,36,37], OVER:[39,40,41,42], I:[44], HALV:[46,47,48,49],
+    ET:[51,52], TO:[53,54], TRE:[55,56,57], FIRE:[59,60,61,62],
+    FEM_HOUR:[63,64,65], SEKS:[66,67,68,69], SYV:[70,71,72],
+    OTTE:[73,74,75,76], NI:[77,78], TI_HOUR:[80,81],
+    ELLEVE:[82,83,84,85,86,87], TOLV:[88,89,90,91]
+  };
+
+  const MINUTE_PATTERNS = [
+    { words: [] },
+    { words: ['FEM_MIN','MINUTTER','OVER'] },
+    { words: ['TI_MIN','MINUTTER','OVER'] },
+    { words: ['KVART','OVER'] },
+    { words: ['TYVE','MINUTTER','OVER'] },
+    { words: ['FEM_MIN','MINUTTER','I','HALV'] },
+    { words: ['HALV'] },
+    { words: ['FEM_MIN','MINUTTER','OVER','HALV'] },
+    { words: ['TYVE','MINUTTER','I'] },
+    { words: ['KVART','I'] },
+    { words: ['TI_MIN','MINUTTER','I'] },
+    { words: ['FEM_MIN','MINUTTER','I'] },
+  ];
+
+  const HOUR_WORDS = [
+    'TOLV','ET','TO','TRE','FIRE','FEM_HOUR',
+    'SEKS','SYV','OTTE','NI','TI_HOUR','ELLEVE'
+  ];
+
+  return {
+    code: 'da',
+    name: 'Dansk',
+    cols: 11,
+    rows: 10,
+    letters: GRID_LETTERS,
+    words: WORDS,
+    prefix: ['KLOKKEN', 'ER'],
+    minutes: MINUTE_PATTERNS,
+    hours: HOUR_WORDS,
+    nextHourFrom: 25,
+  };
+});
@@ -0,0 +1,74 @@
+// de.js — German language pack (classic QlockTwo layout)
+// From :25 the hour refers to the next hour ("FÜNF VOR HALB FÜNF" = 16:25).
+// Full hours add UHR and use EIN instead of EINS ("ES IST EIN UHR").
+// ELF/FÜNF and ZEHN/NEUN share a letter; they are never lit together.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.WordClockLanguages = root.WordClockLanguages || {}).de = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const GRID_LETTERS = [
+    'E','S','K','I','S','T','A','F','Ü','N','F',
+    'Z','E','H','N','Z','W','A','N','Z','I','G',
+    'D','R','E','I','V','I','E','R','T','E','L',
+    'V','O','R','F','U','N','K','N','A','C','H',
+    'H','A','L','B','A','E','L','F','Ü','N','F',
+    'E','I','N','S','X','A','M','Z','W','E','I',
+    'D','R','E','I','P','M','J','V','I','E','R',
+    'S','E','C','H','S','N','L','A','C','H','T',
+    'S','I','E','B','E','N','Z','W','Ö','L','F',
+    'Z','E','H','N','E','U','N','K','U','H','R'
+  ];
+
+  const WORDS = {
+    ES:[0,1], IST:[3,4,5], FÜNF_MIN:[7,8,9,10], ZEHN_MIN:[11,12,13,14],
+    ZWANZIG:[15,16,17,18,19,20,21], VIERTEL:[26,27,28,29,30,31,32],
+    VOR:[33,34,35], NACH:[40,41,42,43], HALB:[44,45,46,47], ELF:[49,50,51],
+    FÜNF_HOUR:[51,52,53,54], EIN:[55,56,57], EINS:[55,56,57,58],
+    ZWEI:[62,63,64,65], DREI:[66,67,68,69], VIER:[73,74,75,76],
+    SECHS:[77,78,79,80,81], ACHT:[84,85,86,87], SIEBEN:[88,89,90,91,92,93],
+    ZWÖLF:[94,95,96,97,98], ZEHN_HOUR:[99,100,101,102],
+    NEUN:[102,103,104,105], UHR:[107,108,109]
+  };
+
+  const MINUTE_PATTERNS = [
+    { words: [], after: ['UHR'] },
+    { words: ['FÜNF_MIN','NACH'] },
+    { words: ['ZEHN_MIN','NACH'] },
+    { words: ['VIERTEL','NACH'] },
+    { words: ['ZWANZIG','NACH'] },
+    { words: ['FÜNF_MIN','VOR','HALB'] },
+    { words: ['HALB'] },
+    { words: ['FÜNF_MIN','NACH','HALB'] },
+    { words: ['ZWANZIG','VOR'] },
+    { words: ['VIERTEL','VOR'] },
+    { words: ['ZEHN_MIN','VOR'] },
+    { words: ['FÜNF_MIN','VOR'] },
+  ];
+
+  const HOUR_WORDS = [
+    'ZWÖLF','EINS','ZWEI','DREI','VIER','FÜNF_HOUR',
+    'SECHS','SIEBEN','ACHT','NEUN','ZEHN_HOUR','ELF'
+  ];
+
+  // Used instead of HOUR_WORDS on the full hour
+  const FULL_HOUR_WORDS = [
+    'ZWÖLF','EIN','ZWEI','DREI','VIER','FÜNF_HOUR',
+    'SECHS','SIEBEN','ACHT','NEUN','ZEHN_HOUR','ELF'
+  ];
+
+  return {
+    code: 'de',
+    name: 'Deutsch',
+    cols: 11,
+    rows: 10,
+    letters: GRID_LETTERS,
+    words: WORDS,
+    prefix: ['ES', 'IST'],
+    minutes: MINUTE_PATTERNS,
+    hours: HOUR_WORDS,
+    fullHours: FULL_HOUR_WORDS,
+    nextHourFrom: 25,
+  };
+});
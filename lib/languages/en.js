@@ -0,0 +1,66 @@
+// en.js — English language pack (classic QlockTwo layout)
+// English counts down to the next hour from :35 ("TWENTY FIVE TO FIVE" = 16:35).
+// Full hours add OCLOCK (the grid has no room for the apostrophe).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.WordClockLanguages = root.WordClockLanguages || {}).en = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const GRID_LETTERS = [
+    'I','T','L','I','S','A','S','A','M','P','M',
+    'A','C','Q','U','A','R','T','E','R','D','C',
+    'T','W','E','N','T','Y','F','I','V','E','X',
+    'H','A','L','F','S','T','E','N','F','T','O',
+    'P','A','S','T','E','R','U','N','I','N','E',
+    'O','N','E','S','I','X','T','H','R','E','E',
+    'F','O','U','R','F','I','V','E','T','W','O',
+    'E','I','G','H','T','E','L','E','V','E','N',
+    'S','E','V','E','N','T','W','E','L','V','E',
+    'T','E','N','S','E','O','C','L','O','C','K'
+  ];
+
+  const WORDS = {
+    IT:[0,1], IS:[3,4], QUARTER:[13,14,15,16,17,18,19],
+    TWENTY:[22,23,24,25,26,27], FIVE_MIN:[28,29,30,31], HALF:[33,34,35,36],
+    TEN_MIN:[38,39,40], TO:[42,43], PAST:[44,45,46,47], NINE:[51,52,53,54],
+    ONE:[55,56,57], SIX:[58,59,60], THREE:[61,62,63,64,65],
+    FOUR:[66,67,68,69], FIVE_HOUR:[70,71,72,73], TWO:[74,75,76],
+    EIGHT:[77,78,79,80,81], ELEVEN:[82,83,84,85,86,87],
+    SEVEN:[88,89,90,91,92], TWELVE:[93,94,95,96,97,98],
+    TEN_HOUR:[99,100,101], OCLOCK:[104,105,106,107,108,109]
+  };
+
+  const MINUTE_PATTERNS = [
+    { words: [], after: ['OCLOCK'] },
+    { words: ['FIVE_MIN','PAST'] },
+    { words: ['TEN_MIN','PAST'] },
+    { words: ['QUARTER','PAST'] },
+    { words: ['TWENTY','PAST'] },
+    { words: ['TWENTY','FIVE_MIN','PAST'] },
+    { words: ['HALF','PAST'] },
+    { words: ['TWENTY','FIVE_MIN','TO'] },
+    { words: ['TWENTY','TO'] },
+    { words: ['QUARTER','TO'] },
+    { words: ['TEN_MIN','TO'] },
+    { words: ['FIVE_MIN','TO'] },
+  ];
+
+  const HOUR_WORDS = [
+    'TWELVE','ONE','TWO','THREE','FOUR','FIVE_HOUR',
+    'SIX','SEVEN','EIGHT','NINE','TEN_HOUR','ELEVEN'
+  ];
+
+  return {
+    code: 'en',
+    name: 'English',
+    cols: 11,
+    rows: 10,
+    letters: GRID_LETTERS,
+    words: WORDS,
+    prefix: ['IT', 'IS'],
+    minutes: MINUTE_PATTERNS,
+    hours: HOUR_WORDS,
+    nextHourFrom: 35,
+  };
+});
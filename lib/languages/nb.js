@@ -0,0 +1,64 @@
+// nb.js — Norwegian (bokmål) language pack
+// Norwegian counts towards the half hour from :20 ("TI PÅ HALV FEM" = 16:20),
+// so the hour refers to the next hour from :20 onwards.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.WordClockLanguages = root.WordClockLanguages || {}).nb = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const GRID_LETTERS = [
+    'K','L','O','K','K','E','N','S','E','R','T',
+    'K','V','A','R','T','O','F','E','M','N','A',
+    'T','I','M','O','V','E','R','L','P','Å','E',
+    'H','A','L','V','K','E','T','T','A','T','O',
+    'T','R','E','S','F','I','R','E','F','E','M',
+    'S','E','K','S','S','J','U','Å','T','T','E',
+    'N','I','R','T','I','E','L','L','E','V','E',
+    'T','O','L','V','S','N','A','T','T','E','N',
+    'G','O','D','M','O','R','G','E','N','A','S',
+    'O','G','G','O','D','N','A','T','T','E','N'
+  ];
+
+  const WORDS = {
+    KLOKKEN:[0,1,2,3,4,5,6], ER:[8,9], KVART:[11,12,13,14,15],
+    FEM_MIN:[17,18,19], TI_MIN:[22,23], OVER:[25,26,27,28], PÅ:[30,31],
+    HALV:[33,34,35,36], ETT:[38,39,40], TO:[42,43], TRE:[44,45,46],
+    FIRE:[48,49,50,51], FEM_HOUR:[52,53,54], SEKS:[55,56,57,58],
+    SJU:[59,60,61], ÅTTE:[62,63,64,65], NI:[66,67], TI_HOUR:[69,70],
+    ELLEVE:[71,72,73,74,75,76], TOLV:[77,78,79,80]
+  };
+
+  const MINUTE_PATTERNS = [
+    { words: [] },
+    { words: ['FEM_MIN','OVER'] },
+    { words: ['TI_MIN','OVER'] },
+    { words: ['KVART','OVER'] },
+    { words: ['TI_MIN','PÅ','HALV'] },
+    { words: ['FEM_MIN','PÅ','HALV'] },
+    { words: ['HALV'] },
+    { words: ['FEM_MIN','OVER','HALV'] },
+    { words: ['TI_MIN','OVER','HALV'] },
+    { words: ['KVART','PÅ'] },
+    { words: ['TI_MIN','PÅ'] },
+    { words: ['FEM_MIN','PÅ'] },
+  ];
+
+  const HOUR_WORDS = [
+    'TOLV','ETT','TO','TRE','FIRE','FEM_HOUR',
+    'SEKS','SJU','ÅTTE','NI','TI_HOUR','ELLEVE'
+  ];
+
+  return {
+    code: 'nb',
+    name: 'Norsk',
+    cols: 11,
+    rows: 10,
+    letters: GRID_LETTERS,
+    words: WORDS,
+    prefix: ['KLOKKEN', 'ER'],
+    minutes: MINUTE_PATTERNS,
+    hours: HOUR_WORDS,
+    nextHourFrom: 20,
+  };
+});
@@ -0,0 +1,67 @@
+// sv.js — Swedish language pack (the original 11×10 layout)
+// Swedish uses a "half-hour" system: from :25 the hour refers to the next hour
+// ("FEM I HALV FEM" = 16:25).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.WordClockLanguages = root.WordClockLanguages || {}).sv = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const GRID_LETTERS = [
+    'K','L','O','C','K','A','N','V','H','Ä','R',
+    'S','F','E','M','I','S','T','I','O','N','A',
+    'T','J','U','G','O','M','I','E','S','N','D',
+    'K','V','A','R','T','B','Ö','V','E','R','G',
+    'L','I','A','H','H','A','L','V','Ö','T','P',
+    'E','T','T','R','T','V','Å','L','S','N','D',
+    'T','R','E','N','F','Y','R','A','O','S','T',
+    'F','E','M','B','S','E','X','O','S','J','U',
+    'Å','T','T','A','M','N','I','O','D','E','K',
+    'E','L','V','A','T','O','L','V','T','I','O'
+  ];
+
+  const WORDS = {
+    KLOCKAN:[0,1,2,3,4,5,6], ÄR:[9,10],
+    FEM_MIN:[12,13,14], TIO_MIN:[17,18,19],
+    TJUGO:[22,23,24,25,26], I_WORD:[45],
+    KVART:[33,34,35,36,37], ÖVER:[39,40,41,42], HALV:[48,49,50,51],
+    ETT:[55,56,57], TVÅ:[59,60,61], TRE:[66,67,68],
+    FYRA:[70,71,72,73], FEM_HOUR:[77,78,79],
+    SEX:[81,82,83], SJU:[85,86,87], ÅTTA:[88,89,90,91],
+    NIO:[93,94,95], ELVA:[99,100,101,102],
+    TOLV:[103,104,105,106], TIO_HOUR:[107,108,109]
+  };
+
+  const MINUTE_PATTERNS = [
+    { words: [] },
+    { words: ['FEM_MIN','ÖVER'] },
+    { words: ['TIO_MIN','ÖVER'] },
+    { words: ['KVART','ÖVER'] },
+    { words: ['TJUGO','ÖVER'] },
+    { words: ['FEM_MIN','I_WORD','HALV'] },
+    { words: ['HALV'] },
+    { words: ['FEM_MIN','ÖVER','HALV'] },
+    { words: ['TJUGO','I_WORD'] },
+    { words: ['KVART','I_WORD'] },
+    { words: ['TIO_MIN','I_WORD'] },
+    { words: ['FEM_MIN','I_WORD'] },
+  ];
+
+  const HOUR_WORDS = [
+    'TOLV','ETT','TVÅ','TRE','FYRA','FEM_HOUR',
+    'SEX','SJU','ÅTTA','NIO','TIO_HOUR','ELVA'
+  ];
+
+  return {
+    code: 'sv',
+    name: 'Svenska',
+    cols: 11,
+    rows: 10,
+    letters: GRID_LETTERS,
+    words: WORDS,
+    prefix: ['KLOCKAN', 'ÄR'],
+    minutes: MINUTE_PATTERNS,
+    hours: HOUR_WORDS,
+    nextHourFrom: 25,
+  };
+});
@@ -0,0 +1,195 @@
+// layout-solver.js — Packs the words a phrasing needs into a COLS×ROWS letter grid
+// Words are placed row by row in an order that respects every required
+// reading order ("FEM" before "I" before "HALV"), spare cells are spread
+// between words and filled with filler letters. Emits the same GRID_LETTERS
+// array and WORDS index map a language pack uses. Loaded by index.html via
+// <script src> (window.WordClockLayoutSolver) and by tools/design-layout.js.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./layout'), require('./phrasing'));
+  else root.WordClockLayoutSolver = factory(root.WordClockLayout, root.WordClockPhrasing);
+})(typeof self !== 'undefined' ? self : this, function (layout, phrasing) {
+
+  // ============================================================
+  // REQUIREMENTS FROM A LANGUAGE PACK
+  // ============================================================
+
+  // Every phrase the pack can show, as word-key sequences in reading order
+  function packPhrases(pack) {
+    const phrases = [];
+    for (let hour = 0; hour < 12; hour++)
+      for (let minute = 0; minute < 60; minute += 5)
+        phrases.push(phrasing.getWords(pack, hour, minute));
+    return phrases;
+  }
+
+  // Word keys the pack's rules use, in the order the pack declares them
+  function packWords(pack) {
+    const used = new Set(packPhrases(pack).flat());
+    return Object.keys(pack.words).filter(k => used.has(k));
+  }
+
+  // ============================================================
+  // SOLVER
+  // ============================================================
+
+  // Small deterministic PRNG so the same seed always gives the same filler
+  function mulberry32(seed) {
+    return function () {
+      seed = (seed + 0x6D2B79F5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // "A before B" edges from consecutive words in each phrase
+  function orderConstraints(words, phrases) {
+    const before = new Map(words.map(w => [w, new Set()]));
+    for (const phrase of phrases) {
+      for (const w of phrase)
+        if (!before.has(w)) throw new Error(`Phrase uses word ${w}, which is not in the word list`);
+      for (let i = 1; i < phrase.length; i++)
+        if (phrase[i] !== phrase[i - 1]) before.get(phrase[i]).add(phrase[i - 1]);
+    }
+    return before;
+  }
+
+  // Greedy row packing: of the words whose predecessors are all placed, take
+  // the longest that still fits on the current row; otherwise start a new row.
+  // Words are one blank apart, except in the rows listed in `tight`.
+  function packRows(words, before, cols, tight = new Set()) {
+    const placed = new Set();
+    const rows = [[]];
+    let used = 0;
+    while (placed.size < words.length) {
+      const ready = words.filter(w => !placed.has(w) && [...before.get(w)].every(p => placed.has(p)));
+      if (!ready.length) {
+        const stuck = words.filter(w => !placed.has(w));
+        throw new Error(`Reading order has a cycle between: ${stuck.join(', ')}`);
+      }
+      const gap = tight.has(rows.length - 1) ? 0 : 1;
+      const room = cols - used - (rows[rows.length - 1].length ? gap : 0);
+      const fits = ready.filter(w => layout.wordSpelling(w).length <= room);
+      if (!fits.length) {
+        if (!rows[rows.length - 1].length) throw new Error(`Word ${ready[0]} is longer than ${cols} columns`);
+        rows.push([]);
+        used = 0;
+        continue;
+      }
+      const pick = fits.reduce((a, b) => layout.wordSpelling(b).length > layout.wordSpelling(a).length ? b : a);
+      used += (rows[rows.length - 1].length ? gap : 0) + layout.wordSpelling(pick).length;
+      rows[rows.length - 1].push(pick);
+      placed.add(pick);
+    }
+    return rows;
+  }
+
+  // Spread `count` spare slots over `slots` positions as evenly as possible
+  function spread(count, slots) {
+    return Array.from({ length: slots }, (_, i) =>
+      Math.floor((count * (i + 1)) / slots) - Math.floor((count * i) / slots));
+  }
+
+  // Solve a layout.
+  //   spec.cols, spec.rows  — target grid size
+  //   spec.words            — word keys to place ('FEM_MIN' spells FEM)
+  //   spec.phrases          — word-key sequences that must read in order
+  //   spec.filler           — letters to draw filler from (default: letters of the words)
+  //   spec.seed             — filler PRNG seed (default 1)
+  // Returns { cols, rows, letters, words, touching } or throws when the words
+  // don't fit; touching lists the grid rows (0-based) whose words have no
+  // blank between them.
+  function solve(spec) {
+    const { cols, rows } = spec;
+    const words = [...new Set(spec.words)];
+    if (!(cols > 0 && rows > 0)) throw new Error('Grid size must be positive');
+    const before = orderConstraints(words, spec.phrases || []);
+
+    // Prefer a blank between words. While the words overflow, drop it in
+    // the one row that pulls the most letters up, so touching words (which
+    // can misread, "FEMTIO") stay as few as possible.
+    const tight = new Set();
+    const score = p => p.length * cols * rows - p[p.length - 1].reduce((n, w) => n + layout.wordSpelling(w).length, 0);
+    let packed = packRows(words, before, cols, tight);
+    while (packed.length > rows) {
+      let best = null;
+      for (let r = 0; r < packed.length; r++) {
+        if (tight.has(r)) continue;
+        const trial = packRows(words, before, cols, new Set([...tight, r]));
+        if (!best || score(trial) < score(best.packed)) best = { r, packed: trial };
+      }
+      if (!best) break;
+      tight.add(best.r);
+      packed = best.packed;
+    }
+    if (packed.length > rows)
+      throw new Error(`Words need ${packed.length} rows at ${cols} columns, only ${rows} available`);
+
+    const random = mulberry32(spec.seed || 1);
+    const filler = (spec.filler || words.map(layout.wordSpelling).join('')).split('');
+    const letters = [];
+    const wordMap = {};
+
+    // Blank rows go between packed rows so the grid stays evenly filled
+    const blankRows = spread(rows - packed.length, packed.length + 1);
+    const fillCells = n => { for (let i = 0; i < n; i++) letters.push(filler[Math.floor(random() * filler.length)]); };
+
+    const touching = [];
+    packed.forEach((rowWords, r) => {
+      fillCells(blankRows[r] * cols);
+      const gap = tight.has(r) ? 0 : 1;
+      if (!gap && rowWords.length > 1) touching.push(letters.length / cols);
+      const wordLen = rowWords.reduce((n, w) => n + layout.wordSpelling(w).length, 0);
+      const minGaps = gap * (rowWords.length - 1);
+      const extra = spread(cols - wordLen - minGaps, rowWords.length + 1);
+      rowWords.forEach((w, i) => {
+        fillCells(extra[i] + (i > 0 ? gap : 0));
+        const start = letters.length;
+        letters.push(...layout.wordSpelling(w));
+        wordMap[w] = layout.wordSpelling(w).split('').map((_, n) => start + n);
+      });
+      fillCells(extra[rowWords.length]);
+    });
+    fillCells(blankRows[packed.length] * cols);
+
+    return { cols, rows, letters, words: wordMap, touching };
+  }
+
+  // Solve for a language pack's words and rules at a new grid size.
+  // `extraWords` are added unconstrained (e.g. for message mode).
+  function solvePack(pack, cols, rows, options = {}) {
+    return solve({
+      cols, rows,
+      words: [...packWords(pack), ...(options.extraWords || [])],
+      phrases: packPhrases(pack),
+      filler: options.filler,
+      seed: options.seed,
+    });
+  }
+
+  // ============================================================
+  // OUTPUT
+  // ============================================================
+
+  // Source code for a language pack's GRID_LETTERS and WORDS constants
+  function toSource(result, indent = '  ') {
+    const { cols, letters, words } = result;
+    const gridRows = [];
+    for (let i = 0; i < letters.length; i += cols)
+      gridRows.push(indent + '  ' + letters.slice(i, i + cols).map(l => `'${l}'`).join(','));
+    const entries = Object.entries(words).map(([k, idx]) =>
+      `${/^[\p{L}_][\p{L}\p{N}_]*$/u.test(k) ? k : `'${k}'`}:[${idx.join(',')}]`);
+    const wordLines = [];
+    let line = '';
+    for (const e of entries) {
+      if (line && line.length + e.length > 72) { wordLines.push(line.trimEnd()); line = ''; }
+      line += e + ', ';
+    }
+    if (line) wordLines.push(line.replace(/, $/, ''));
+    return `${indent}const GRID_LETTERS = [\n${gridRows.join(',\n')}\n${indent}];\n\n` +
+      `${indent}const WORDS = {\n${wordLines.map(l => indent + '  ' + l).join('\n')}\n${indent}};\n`;
+  }
+
+  return { packPhrases, packWords, solve, solvePack, toSource };
+});
@@ -0,0 +1,71 @@
+// layout-validator.js — Exhaustive check of a language pack for all 1440 minutes
+// For every minute of the day it checks that each lit word spells its letters
+// in the grid, that lit words appear in reading order (left→right,
+// top→bottom), that no two lit words share a cell, and that the lit letters
+// read exactly getTimeText. Loaded by index.html via <script src>
+// (window.WordClockValidator) and by tools/validate-layout.js.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./layout'), require('./phrasing'));
+  else root.WordClockValidator = factory(root.WordClockLayout, root.WordClockPhrasing);
+})(typeof self !== 'undefined' ? self : this, function (layout, phrasing) {
+
+  function formatTime(hour, minute) {
+    return String(hour).padStart(2, '0') + ':' + String(minute).padStart(2, '0');
+  }
+
+  // Problems for one minute; empty when the phrase is readable
+  function checkMinute(pack, hour, minute) {
+    const problems = [];
+    const words = phrasing.getWords(pack, hour, minute);
+
+    for (const key of words) {
+      const idx = pack.words[key];
+      if (!idx) { problems.push(`word ${key} is not in the grid`); continue; }
+      const spelled = idx.map(i => pack.letters[i]).join('');
+      if (spelled !== layout.wordSpelling(key))
+        problems.push(`word ${key} lights "${spelled}", expected "${layout.wordSpelling(key)}"`);
+    }
+    if (problems.length) return problems;
+
+    for (let w = 1; w < words.length; w++) {
+      const prev = pack.words[words[w - 1]];
+      const next = pack.words[words[w]];
+      if (next[0] <= prev[prev.length - 1])
+        problems.push(`${words[w]} is read before ${words[w - 1]}`);
+    }
+
+    const indices = phrasing.getActiveIndices(pack, hour, minute);
+    const seen = new Set();
+    for (const i of indices) {
+      if (seen.has(i)) problems.push(`cell ${i} ("${pack.letters[i]}") is lit by two words`);
+      seen.add(i);
+    }
+
+    const lit = [...seen].sort((a, b) => a - b).map(i => pack.letters[i]).join('');
+    const text = phrasing.getTimeText(pack, hour, minute);
+    if (lit !== text.replace(/ /g, ''))
+      problems.push(`lit letters read "${lit}", getTimeText is "${text}"`);
+
+    return problems;
+  }
+
+  // Validate every minute of the day.
+  // Returns { minutes, failures: [{ time, text, problems }] }.
+  function validatePack(pack) {
+    const failures = [];
+    for (let hour = 0; hour < 24; hour++) {
+      for (let minute = 0; minute < 60; minute++) {
+        const problems = checkMinute(pack, hour, minute);
+        if (problems.length) {
+          let text;
+          try { text = phrasing.getTimeText(pack, hour, minute); } catch (e) { text = '?'; }
+          failures.push({ time: formatTime(hour, minute), text, problems });
+        }
+      }
+    }
+    return { minutes: 24 * 60, failures };
+  }
+
+  return { checkMinute, validatePack, formatTime };
+});
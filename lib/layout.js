@@ -0,0 +1,224 @@
+// layout.js — Shared layout definition for the Swedish Word Clock
+// Single source of truth for panel sizes and print-bed sections, plus the
+// checks every language pack's letter grid must pass (grids and word
+// positions live in lib/languages/). Loaded by index.html via <script src>
+// (exposed as window.WordClockLayout) and by every generator in laser/ via
+// require(). No dependencies required.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WordClockLayout = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // ============================================================
+  // SIZE PRESETS (laser-cut front panel)
+  // ============================================================
+  const SIZES = {
+    S: { label: 'Small (desktop)',  pitch: 25, cutout: 20, cornerDot: 8, mountHole: 4 },
+    M: { label: 'Medium (wall)',    pitch: 35, cutout: 28, cornerDot: 8, mountHole: 4 },
+    L: { label: 'Large (wall)',     pitch: 45, cutout: 37, cornerDot: 8, mountHole: 4 },
+  };
+
+  const FRAME_BORDER = 15;   // mm, border around grid area
+  const MOUNT_INSET = 8;     // mm, mounting hole inset from panel edge
+  const CORNER_RADIUS = 5;   // mm, outer frame corner radius
+
+  // ============================================================
+  // 3D-PRINT SECTIONS (backplate + test front panel)
+  // ============================================================
+  // Both 3D generators must split identically, otherwise front panel seams
+  // don't line up with backplate seams. printPlan() computes the split for
+  // any size and bed; the generators share it through laser/sections.json.
+  // The defaults below are the plan for the L size on a 220×220mm bed:
+  // Cols: 4 + 4 + 3 = 11 (180mm + 180mm + 135mm)
+  // Rows: 4 + 3 + 3 = 10 (180mm + 135mm + 135mm)
+  // Both generators check every finished section against the print bed
+  // and fail if one does not fit.
+  const PRINT_SIZE = 'L';
+  const WALL_THICKNESS = 3;  // mm, wall between cells
+  const TAB_DEPTH = 3;       // mm, backplate tabs reach this far into the next section
+  const DEFAULT_BED = [220, 220]; // mm, X×Y
+  const COL_SPLITS = [4, 4, 3];
+  const ROW_SPLITS = [4, 3, 3];
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  // Letters a word key spells: 'FEM_MIN' → 'FEM'. A suffix after '_' only
+  // disambiguates words that appear twice in a grid.
+  function wordSpelling(key) {
+    return key.split('_')[0];
+  }
+
+  function panelSize(sizeKey, pack) {
+    const s = SIZES[sizeKey];
+    return {
+      panelW: pack.cols * s.pitch + 2 * FRAME_BORDER,
+      panelH: pack.rows * s.pitch + 2 * FRAME_BORDER,
+    };
+  }
+
+  // ============================================================
+  // PRINT PLAN (section splits for a bed)
+  // ============================================================
+
+  // Footprint along one axis of a section `cells` wide: the backplate's cells,
+  // closing wall and tabs into the next section, or the test front panel's
+  // frame border on the panel edges, whichever is larger.
+  function sectionSpan(cells, pitch, first, last) {
+    const backplate = cells * pitch + WALL_THICKNESS + (last ? 0 : TAB_DEPTH);
+    const frontplate = cells * pitch + WALL_THICKNESS + (first ? FRAME_BORDER : 0) + (last ? FRAME_BORDER : 0);
+    return Math.max(backplate, frontplate);
+  }
+
+  // Fewest sections that each fit `limit` mm, as even as possible and the
+  // larger ones first: 11 cells at 45mm pitch on 220mm → [4, 4, 3].
+  // Returns null when not even one cell fits.
+  function splitCells(cells, pitch, limit) {
+    for (let k = 1; k <= cells; k++) {
+      let best = null;
+      const walk = (parts, left) => {
+        const i = parts.length;
+        if (i === k) {
+          const spread = Math.max(...parts) - Math.min(...parts);
+          if (!best || spread < best.spread) best = { parts, spread };
+          return;
+        }
+        const remaining = k - i - 1;
+        for (let n = left - remaining; n >= 1; n--) {
+          if (remaining === 0 && n !== left) continue;
+          if (sectionSpan(n, pitch, i === 0, i === k - 1) > limit) continue;
+          walk([...parts, n], left - n);
+        }
+      };
+      walk([], cells);
+      if (best) return best.parts;
+    }
+    return null;
+  }
+
+  // Section split of a pack's grid for a size preset and a bed [x, y] in mm:
+  // { size, pitch, bed, cols: [cells per column of sections], rows: [...] }.
+  // Sections may be turned 90° on the bed when that needs fewer of them.
+  function printPlan(pack, options = {}) {
+    const size = options.size || PRINT_SIZE;
+    const bed = options.bed || DEFAULT_BED;
+    if (!SIZES[size]) throw new Error(`Unknown size "${size}" (available: ${Object.keys(SIZES).join(', ')})`);
+    const pitch = SIZES[size].pitch;
+    const candidates = [[bed[0], bed[1]], [bed[1], bed[0]]]
+      .map(([x, y]) => ({ cols: splitCells(pack.cols, pitch, x), rows: splitCells(pack.rows, pitch, y) }))
+      .filter(c => c.cols && c.rows)
+      .sort((a, b) => a.cols.length * a.rows.length - b.cols.length * b.rows.length);
+    if (!candidates.length)
+      throw new Error(`A single ${pitch}mm cell with its walls and frame border does not fit a ${bed.join('×')}mm bed`);
+    return { size, pitch, bed, ...candidates[0] };
+  }
+
+  // Whether a pack has the 11×10 grid COL_SPLITS/ROW_SPLITS split
+  function isDefaultGrid(pack) {
+    return pack.cols === COL_SPLITS.reduce((a, b) => a + b, 0) && pack.rows === ROW_SPLITS.reduce((a, b) => a + b, 0);
+  }
+
+  // The plan the committed 3D files are generated with; other grid sizes get
+  // printPlan()'s split for the same size preset and bed
+  function defaultPlan(pack) {
+    if (pack && !isDefaultGrid(pack)) return printPlan(pack);
+    return { size: PRINT_SIZE, pitch: SIZES[PRINT_SIZE].pitch, bed: DEFAULT_BED, cols: COL_SPLITS, rows: ROW_SPLITS };
+  }
+
+  // JSON-ready manifest of a plan with the footprint of every section, as
+  // written to laser/sections.json
+  function planManifest(pack, plan) {
+    const sections = [];
+    plan.rows.forEach((rows, sr) => plan.cols.forEach((cols, sc) => sections.push({
+      col: sc,
+      row: sr,
+      cells: [cols, rows],
+      footprint: [
+        sectionSpan(cols, plan.pitch, sc === 0, sc === plan.cols.length - 1),
+        sectionSpan(rows, plan.pitch, sr === 0, sr === plan.rows.length - 1),
+      ],
+    })));
+    return { grid: [pack.cols, pack.rows], size: plan.size, pitch: plan.pitch, bed: plan.bed,
+             cols: plan.cols, rows: plan.rows, sections };
+  }
+
+  // Plan back from a manifest, checked against the pack's grid and SIZES
+  function planFromManifest(pack, manifest) {
+    const { size, pitch, bed, cols, rows } = manifest;
+    const sum = list => Array.isArray(list) ? list.reduce((a, b) => a + b, 0) : NaN;
+    if (!SIZES[size]) throw new Error(`Section manifest uses unknown size "${size}"`);
+    if (SIZES[size].pitch !== pitch) throw new Error(`Section manifest has pitch ${pitch}mm, SIZES.${size} now has ${SIZES[size].pitch}mm — re-split with --bed`);
+    if (sum(cols) !== pack.cols || sum(rows) !== pack.rows)
+      throw new Error(`Section manifest splits a ${sum(cols)}×${sum(rows)} grid, the ${pack.code} grid is ${pack.cols}×${pack.rows} — re-split with --bed`);
+    return { size, pitch, bed, cols, rows };
+  }
+
+  // ============================================================
+  // CHECKS
+  // ============================================================
+
+  // Returns a list of human-readable problems with a language pack's grid and
+  // rules combined with the physical layout; empty when everything is sane.
+  function checkLayout(pack) {
+    const errors = [];
+    const { cols, rows, letters, words } = pack;
+    const tag = `[${pack.code}]`;
+    if (letters.length !== cols * rows)
+      errors.push(`${tag} grid has ${letters.length} letters, expected ${cols}×${rows} = ${cols * rows}`);
+
+    for (const [key, idx] of Object.entries(words)) {
+      if (!idx.length || idx.some(i => !Number.isInteger(i) || i < 0 || i >= cols * rows)) {
+        errors.push(`${tag} word ${key} has an index outside the grid`);
+        continue;
+      }
+      const spelled = idx.map(i => letters[i]).join('');
+      if (spelled !== wordSpelling(key))
+        errors.push(`${tag} word ${key} spells "${spelled}" in the grid, expected "${wordSpelling(key)}"`);
+      const row = Math.floor(idx[0] / cols);
+      if (idx.some((i, n) => i !== idx[0] + n || Math.floor(i / cols) !== row))
+        errors.push(`${tag} word ${key} is not a contiguous run within one row`);
+    }
+
+    if (pack.minutes.length !== 12) errors.push(`${tag} needs 12 minute patterns, has ${pack.minutes.length}`);
+    if (pack.hours.length !== 12) errors.push(`${tag} needs 12 hour words, has ${pack.hours.length}`);
+    if (pack.fullHours && pack.fullHours.length !== 12) errors.push(`${tag} needs 12 full-hour words, has ${pack.fullHours.length}`);
+    const used = [
+      ...pack.prefix, ...pack.hours, ...(pack.fullHours || []),
+      ...pack.minutes.flatMap(m => [...m.words, ...(m.after || [])]),
+    ];
+    for (const key of new Set(used))
+      if (!words[key]) errors.push(`${tag} rules use word ${key}, which is not in the grid`);
+
+    for (const [key, s] of Object.entries(SIZES)) {
+      if (s.cutout >= s.pitch) errors.push(`SIZES.${key}: cutout ${s.cutout}mm must be smaller than pitch ${s.pitch}mm`);
+      if (s.cornerDot >= FRAME_BORDER) errors.push(`SIZES.${key}: corner dot ${s.cornerDot}mm does not fit in ${FRAME_BORDER}mm frame border`);
+    }
+
+    if (SIZES[PRINT_SIZE].pitch <= WALL_THICKNESS) errors.push(`WALL_THICKNESS must be smaller than the ${PRINT_SIZE} pitch`);
+    // COL_SPLITS/ROW_SPLITS only split the 11×10 grid; printPlan() or
+    // laser/sections.json decide the sections of any other size
+    if (isDefaultGrid(pack)) {
+      const plan = printPlan(pack);
+      if (plan.cols.join() !== COL_SPLITS.join() || plan.rows.join() !== ROW_SPLITS.join())
+        errors.push(`COL_SPLITS/ROW_SPLITS [${COL_SPLITS}]/[${ROW_SPLITS}] differ from the plan for ${PRINT_SIZE} on ` +
+          `${DEFAULT_BED.join('×')}mm: [${plan.cols}]/[${plan.rows}]`);
+    }
+
+    return errors;
+  }
+
+  // Throws on an inconsistent layout — call before generating anything physical.
+  function assertLayout(pack) {
+    const errors = checkLayout(pack);
+    if (errors.length) throw new Error('Invalid word clock layout:\n  ' + errors.join('\n  '));
+  }
+
+  return {
+    SIZES, FRAME_BORDER, MOUNT_INSET, CORNER_RADIUS,
+    PRINT_SIZE, WALL_THICKNESS, TAB_DEPTH, DEFAULT_BED, COL_SPLITS, ROW_SPLITS,
+    wordSpelling, panelSize, sectionSpan, splitCells, printPlan, isDefaultGrid, defaultPlan, planManifest, planFromManifest,
+    checkLayout, assertLayout,
+  };
+});
@@ -0,0 +1,177 @@
+// mesh-validator.js — Printability report for generated 3D sections
+// Checks a mesh from lib/solid.js the way a slicer would see it: open and
+// non-manifold edges, faces wound against their neighbours, volume where
+// parts overlap, bounding box against the print bed, and the filament a
+// section takes. Volumes come from casting vertical rays through the mesh on
+// a fine grid, so overlapping boxes count once. Loaded by
+// laser/generate-backplate.js and laser/generate-frontplate-test.js via
+// require(). No dependencies required.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WordClockMeshValidator = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const DEFAULT_BED = [220, 220];  // mm, X×Y
+  const MATERIALS = {
+    PLA: { density: 1.24 },        // g/cm³
+    PETG: { density: 1.27 },
+  };
+  const FILAMENT_DIA = 1.75;       // mm
+  const RAY_STEP = 0.5;            // mm between sample rays
+
+  // ============================================================
+  // EDGES
+  // ============================================================
+
+  // Every edge of a closed, consistently wound mesh is used by exactly two
+  // faces, once in each direction.
+  function checkEdges(faces) {
+    const edges = new Map();
+    for (const f of faces) {
+      for (let i = 0; i < 3; i++) {
+        const a = f[i], b = f[(i + 1) % 3];
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        const e = edges.get(key) || { count: 0, forward: 0 };
+        e.count++;
+        if (a < b) e.forward++;
+        edges.set(key, e);
+      }
+    }
+    let open = 0, nonManifold = 0, flipped = 0;
+    for (const { count, forward } of edges.values()) {
+      if (count === 1) open++;
+      else if (count > 2) nonManifold++;
+      else if (forward !== 1) flipped++;
+    }
+    return { edges: edges.size, open, nonManifold, flipped };
+  }
+
+  // ============================================================
+  // VOLUME (vertical rays)
+  // ============================================================
+
+  // Casts a ray up through the centre of every RAY_STEP cell. Faces pointing
+  // down are where a ray enters a part, faces pointing up where it leaves;
+  // the depth in between says how many parts overlap there. Returns
+  // { volume, overlap } in mm³: the union, and what the parts share.
+  function rayVolume(vertices, faces, box, step = RAY_STEP) {
+    // Sample positions are nudged off the round numbers the geometry uses,
+    // so no ray runs exactly along an edge.
+    const x0 = box.min[0] + step * 0.5137, y0 = box.min[1] + step * 0.5291;
+    const nx = Math.ceil((box.max[0] - x0) / step) + 1, ny = Math.ceil((box.max[1] - y0) / step) + 1;
+    const columns = new Map();
+    for (const f of faces) {
+      const [a, b, c] = f.map(k => vertices[k]);
+      const n = [
+        (b[1] - a[1]) * (c[2] - a[2]) - (b[2] - a[2]) * (c[1] - a[1]),
+        (b[2] - a[2]) * (c[0] - a[0]) - (b[0] - a[0]) * (c[2] - a[2]),
+        (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]),
+      ];
+      if (Math.abs(n[2]) < 1e-12) continue; // vertical faces never meet a vertical ray
+      const sign = n[2] < 0 ? 1 : -1;
+      const ys = [a[1], b[1], c[1]];
+      const jFrom = Math.max(0, Math.ceil((Math.min(...ys) - y0) / step));
+      const jTo = Math.min(ny - 1, Math.floor((Math.max(...ys) - y0) / step));
+      for (let j = jFrom; j <= jTo; j++) {
+        const y = y0 + j * step;
+        // Where this row crosses the triangle (half-open, so faces sharing an
+        // edge never both claim a ray)
+        const xs = [];
+        for (const [p, q] of [[a, b], [b, c], [c, a]]) {
+          if ((p[1] <= y && y < q[1]) || (q[1] <= y && y < p[1]))
+            xs.push(p[0] + (y - p[1]) * (q[0] - p[0]) / (q[1] - p[1]));
+        }
+        if (xs.length < 2) continue;
+        const iFrom = Math.max(0, Math.ceil((Math.min(...xs) - x0) / step));
+        const iTo = Math.min(nx - 1, Math.ceil((Math.max(...xs) - x0) / step) - 1);
+        for (let i = iFrom; i <= iTo; i++) {
+          const x = x0 + i * step;
+          const z = a[2] - (n[0] * (x - a[0]) + n[1] * (y - a[1])) / n[2];
+          const key = j * nx + i;
+          if (!columns.has(key)) columns.set(key, []);
+          columns.get(key).push([z, sign]);
+        }
+      }
+    }
+    let union = 0, total = 0;
+    for (const events of columns.values()) {
+      events.sort((p, q) => p[0] - q[0] || q[1] - p[1]);
+      let depth = 0, z = 0;
+      for (const [ez, sign] of events) {
+        if (depth > 0) { union += ez - z; total += depth * (ez - z); }
+        depth += sign;
+        z = ez;
+      }
+    }
+    return { volume: union * step * step, overlap: (total - union) * step * step };
+  }
+
+  // ============================================================
+  // REPORT
+  // ============================================================
+
+  function boundingBox(vertices) {
+    const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    for (const v of vertices) {
+      for (let k = 0; k < 3; k++) {
+        if (v[k] < min[k]) min[k] = v[k];
+        if (v[k] > max[k]) max[k] = v[k];
+      }
+    }
+    return { min, max, size: max.map((m, k) => m - min[k]) };
+  }
+
+  // builder: an STLBuilder from lib/solid.js. options: { bed: [x, y] in mm,
+  // material: 'PLA'|'PETG' }. The section may be turned 90° to fit the bed.
+  function checkMesh(builder, options = {}) {
+    const bed = options.bed || DEFAULT_BED;
+    const material = options.material || 'PLA';
+    if (!MATERIALS[material]) throw new Error(`Unknown material "${material}" (available: ${Object.keys(MATERIALS).join(', ')})`);
+    const { vertices, faces } = builder.mesh();
+    const edges = checkEdges(faces);
+    const box = boundingBox(vertices);
+    const [w, d] = box.size;
+    const { volume, overlap } = rayVolume(vertices, faces, box);
+    return {
+      triangles: faces.length,
+      ...edges,
+      watertight: edges.open === 0 && edges.nonManifold === 0 && edges.flipped === 0,
+      size: box.size,
+      bed,
+      fitsBed: (w <= bed[0] && d <= bed[1]) || (d <= bed[0] && w <= bed[1]),
+      volume,
+      overlap,
+      material,
+      grams: volume / 1000 * MATERIALS[material].density,
+      metres: volume / (Math.PI * (FILAMENT_DIA / 2) ** 2) / 1000,
+    };
+  }
+
+  // '220x220' → [220, 220]
+  function parseBed(text) {
+    const m = /^(\d+(?:\.\d+)?)\s*[x×]\s*(\d+(?:\.\d+)?)$/.exec(String(text).trim());
+    if (!m) throw new Error(`Expected a bed size like 220x220, got "${text}"`);
+    return [+m[1], +m[2]];
+  }
+
+  // Console lines for one section, in the generators' ✓ / ! / ✗ style: ✗
+  // when it does not fit the bed, ! when it fits but is not watertight
+  function reportLines(filename, r) {
+    const size = r.size.map(v => v.toFixed(0)).join('×');
+    const lines = [];
+    if (r.fitsBed) {
+      lines.push(`${r.watertight ? '✓' : '!'} ${filename}  ${size}mm  ${(r.volume / 1000).toFixed(1)} cm³ ≈ ${r.grams.toFixed(0)} g ${r.material}, ` +
+        `${r.metres.toFixed(1)} m of ${FILAMENT_DIA}mm filament (solid)`);
+    } else {
+      lines.push(`✗ ${filename}  ${size}mm does not fit the ${r.bed.join('×')}mm bed`);
+    }
+    if (!r.watertight)
+      lines.push(`  ! not watertight: ${r.open} open edges, ${r.nonManifold} non-manifold edges, ${r.flipped} flipped faces`);
+    if (r.overlap > 0.5)
+      lines.push(`  ! ${(r.overlap / 1000).toFixed(1)} cm³ where parts overlap (slicers merge it)`);
+    return lines;
+  }
+
+  return { DEFAULT_BED, MATERIALS, FILAMENT_DIA, checkEdges, rayVolume, checkMesh, parseBed, reportLines };
+});
@@ -0,0 +1,168 @@
+// messages.js — Free-text messages spelled from the grid letters
+// Finds a reading-order path through a pack's letters that spells a word or
+// short phrase ("HEJ", "GOD JUL"), reports the words that can't be spelled,
+// parses dated/timed message schedules and lists which words of a bundled
+// word list (lib/wordlists/) a layout can spell. Loaded by index.html via
+// <script src> (window.WordClockMessages, after the word lists) and by
+// tools/wordclock.js.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory({ sv: require('./wordlists/sv') });
+  else root.WordClockMessages = factory(root.WordClockWordLists || {});
+})(typeof self !== 'undefined' ? self : this, function (WORD_LISTS) {
+
+  const ROW_BREAK = 4;    // cost of a word running on into the next row
+  const WORDS_TOUCH = 6;  // cost of a word starting in the cell right after the previous one
+
+  // 'God jul!' → ['GOD', 'JUL']
+  function messageWords(text) {
+    return String(text).toUpperCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  // Whether the letters of `word` occur in reading order anywhere in the grid
+  function canSpell(pack, word) {
+    let k = 0;
+    for (let i = 0; i < pack.letters.length && k < word.length; i++)
+      if (pack.letters[i] === word[k]) k++;
+    return k === word.length;
+  }
+
+  // ============================================================
+  // PATH SEARCH
+  // ============================================================
+
+  // Cheapest reading-order path for the words, one cell per letter: within a
+  // word every skipped cell and row break costs, between words only touching
+  // does. [[cell, …] per word] or null when the grid can't spell them in order.
+  function spellPath(pack, words) {
+    const letters = [];
+    words.forEach((word, w) => [...word].forEach((ch, k) => letters.push({ ch, w, first: k === 0 })));
+    if (!letters.length) return [];
+    const cells = pack.letters.length;
+    const row = i => Math.floor(i / pack.cols);
+    const step = (i, j, first) => first
+      ? (j === i + 1 && row(i) === row(j) ? WORDS_TOUCH : 0)
+      : j - i - 1 + (row(i) !== row(j) ? ROW_BREAK : 0);
+
+    // cost[k][j]: cheapest path with letter k on cell j; from[k][j] its previous cell
+    const cost = letters.map(() => new Array(cells).fill(Infinity));
+    const from = letters.map(() => new Array(cells).fill(-1));
+    for (let j = 0; j < cells; j++) if (pack.letters[j] === letters[0].ch) cost[0][j] = 0;
+    for (let k = 1; k < letters.length; k++) {
+      for (let j = k; j < cells; j++) {
+        if (pack.letters[j] !== letters[k].ch) continue;
+        for (let i = k - 1; i < j; i++) {
+          if (cost[k - 1][i] === Infinity) continue;
+          const c = cost[k - 1][i] + step(i, j, letters[k].first);
+          if (c < cost[k][j]) { cost[k][j] = c; from[k][j] = i; }
+        }
+      }
+    }
+
+    const last = letters.length - 1;
+    let end = -1;
+    for (let j = 0; j < cells; j++) if (cost[last][j] < (end < 0 ? Infinity : cost[last][end])) end = j;
+    if (end < 0) return null;
+    const path = [];
+    for (let k = last, j = end; k >= 0; j = from[k][j], k--) path.unshift(j);
+    let n = 0;
+    return words.map(word => path.slice(n, n += word.length));
+  }
+
+  // Spells as much of `text` as the grid allows:
+  // { text, indices, placed: [{ word, indices }], missing: [{ word, reason }] }
+  // reason is 'letters' (not in the grid in this order at all) or 'order'
+  // (fits alone, but not after the words before it).
+  function spellMessage(pack, text) {
+    const words = messageWords(text);
+    if (!words.length) throw new Error(`Message "${text}" has no letters`);
+    const missing = [];
+    let kept = [];
+    words.forEach(word => {
+      if (!canSpell(pack, word)) missing.push({ word, reason: 'letters' });
+      else kept.push(word);
+    });
+    let path = spellPath(pack, kept);
+    if (!path) { // keep words from the start while the rest still fits
+      const fitting = [];
+      kept.forEach(word => {
+        if (spellPath(pack, [...fitting, word])) fitting.push(word);
+        else missing.push({ word, reason: 'order' });
+      });
+      kept = fitting;
+      path = spellPath(pack, kept);
+    }
+    return {
+      text: kept.join(' '),
+      indices: path.flat(),
+      placed: kept.map((word, w) => ({ word, indices: path[w] })),
+      missing,
+    };
+  }
+
+  // Words of the pack's bundled list the grid can spell on their own,
+  // longest first: { spellable, unspellable }
+  function spellableWords(pack, list = WORD_LISTS[pack.code]) {
+    if (!list) throw new Error(`No word list for "${pack.code}" (available: ${Object.keys(WORD_LISTS).join(', ')})`);
+    const byLength = (a, b) => b.length - a.length || a.localeCompare(b, 'sv');
+    const spellable = list.filter(word => canSpell(pack, word)).sort(byLength);
+    const unspellable = list.filter(word => !canSpell(pack, word)).sort(byLength);
+    return { spellable, unspellable };
+  }
+
+  // ============================================================
+  // SCHEDULE
+  // ============================================================
+
+  // One message per line: [date] [time] text, with at least a date or a time.
+  //   date — YYYY-MM-DD once, or MM-DD every year; without a time all day
+  //   time — HH:MM for that minute, or HH:MM-HH:MM (end not included, may
+  //          run past midnight); without a date every day
+  // '#' starts a comment.
+  function parseMessages(text) {
+    const messages = [];
+    const clock = t => {
+      const m = /^(\d{1,2}):(\d{2})$/.exec(t);
+      return m && +m[1] < 24 && +m[2] < 60 ? +m[1] * 60 + +m[2] : null;
+    };
+    String(text).split('\n').forEach((raw, i) => {
+      const line = raw.replace(/#.*/, '').trim();
+      if (!line) return;
+      const fail = msg => { throw new Error(`Line ${i + 1} ("${line}"): ${msg}`); };
+      const parts = line.split(/\s+/);
+      const message = { line: i + 1, year: null, month: null, day: null, start: 0, end: 1440 };
+
+      const date = /^(?:(\d{4})-)?(\d{2})-(\d{2})$/.exec(parts[0]);
+      if (date) {
+        const [year, month, day] = [date[1] ? +date[1] : 2000, +date[2], +date[3]]; // 2000 has 29 February
+        const check = new Date(Date.UTC(year, month - 1, day));
+        if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) fail(`no such date "${parts[0]}"`);
+        Object.assign(message, { year: date[1] ? year : null, month, day });
+        parts.shift();
+      }
+      const time = /^(\d{1,2}:\d{2})(?:-(\d{1,2}:\d{2}))?$/.exec(parts[0] || '');
+      if (time) {
+        const start = clock(time[1]);
+        const end = time[2] ? clock(time[2]) : (start + 1) % 1440;
+        if (start === null || end === null) fail(`no such time "${parts[0]}"`);
+        if (start === end) fail('the time range is empty');
+        Object.assign(message, { start, end });
+        parts.shift();
+      }
+      if (!date && !time) fail('start with a date (12-24, 2026-12-24) or a time (07:00, 07:00-07:30)');
+      message.text = parts.join(' ');
+      if (!messageWords(message.text).length) fail('no message text');
+      messages.push(message);
+    });
+    return messages;
+  }
+
+  // The first message shown on a date ({ year, month, day }) at a minute, or null
+  function messageAt(messages, date, minute) {
+    return messages.find(m =>
+      (m.month === null || (m.month === date.month && m.day === date.day && (m.year === null || m.year === date.year))) &&
+      (m.start < m.end ? minute >= m.start && minute < m.end : minute >= m.start || minute < m.end)) || null;
+  }
+
+  return { WORD_LISTS, messageWords, canSpell, spellPath, spellMessage, spellableWords, parseMessages, messageAt };
+});
@@ -0,0 +1,148 @@
+// output.js — Push simulator frames to a real clock
+// A frame is one RGB colour per LED in chain order (see lib/wiring.js),
+// encoded as 'W' 'C', LED count (uint16, big-endian), then R G B per LED.
+// The same bytes go over WebSerial to the ESP32 sketch from
+// firmware/generate-firmware.js, or to a WebSocket/HTTP endpoint such as
+// tools/device-server.js. Loaded by index.html via <script src>
+// (window.WordClockOutput) and by tools/device-server.js.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WordClockOutput = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const MAGIC = [0x57, 0x43]; // 'WC'
+  const HEADER_BYTES = 4;
+  const BAUD_RATE = 115200;   // must match FRAME_BAUD in the sketch
+
+  // ============================================================
+  // FRAMES
+  // ============================================================
+
+  // Per-LED colours in chain order from per-cell and per-dot colours
+  // ([r, g, b] or null for off).
+  function chainColors(map, cellColors, dotColors) {
+    return map.chain.map(({ type, index }) => (type === 'cell' ? cellColors : dotColors)[index] || [0, 0, 0]);
+  }
+
+  function encodeFrame(colors) {
+    const bytes = new Uint8Array(HEADER_BYTES + 3 * colors.length);
+    bytes.set(MAGIC, 0);
+    bytes[2] = colors.length >> 8;
+    bytes[3] = colors.length & 0xff;
+    colors.forEach((rgb, led) => bytes.set(rgb, HEADER_BYTES + 3 * led));
+    return bytes;
+  }
+
+  // Inverse of encodeFrame; throws on anything that isn't a whole frame
+  function decodeFrame(bytes) {
+    if (bytes.length < HEADER_BYTES || bytes[0] !== MAGIC[0] || bytes[1] !== MAGIC[1])
+      throw new Error('Not a word clock frame (missing "WC" header)');
+    const count = (bytes[2] << 8) | bytes[3];
+    if (bytes.length !== HEADER_BYTES + 3 * count)
+      throw new Error(`Frame announces ${count} LEDs but carries ${bytes.length - HEADER_BYTES} colour bytes`);
+    const colors = [];
+    for (let led = 0; led < count; led++) {
+      const at = HEADER_BYTES + 3 * led;
+      colors.push([bytes[at], bytes[at + 1], bytes[at + 2]]);
+    }
+    return colors;
+  }
+
+  // ============================================================
+  // TRANSPORTS (browser)
+  // ============================================================
+  // Each transport has open(), write(bytes) and close(); all may return promises.
+
+  function serialTransport() {
+    let port = null, writer = null;
+    return {
+      name: 'WebSerial',
+      async open() {
+        if (typeof navigator === 'undefined' || !navigator.serial) throw new Error('WebSerial is not supported in this browser');
+        port = await navigator.serial.requestPort();
+        await port.open({ baudRate: BAUD_RATE });
+        writer = port.writable.getWriter();
+      },
+      write: bytes => writer.write(bytes),
+      async close() {
+        if (writer) writer.releaseLock();
+        if (port) await port.close();
+        port = writer = null;
+      },
+    };
+  }
+
+  function webSocketTransport(url) {
+    let ws = null;
+    return {
+      name: 'WebSocket',
+      open() {
+        return new Promise((resolve, reject) => {
+          ws = new WebSocket(url);
+          ws.binaryType = 'arraybuffer';
+          ws.onopen = () => resolve();
+          ws.onerror = () => reject(new Error(`Could not connect to ${url}`));
+        });
+      },
+      write(bytes) {
+        if (ws.readyState !== WebSocket.OPEN) throw new Error(`Connection to ${url} closed`);
+        ws.send(bytes);
+      },
+      close() {
+        if (ws) ws.close();
+        ws = null;
+      },
+    };
+  }
+
+  function httpTransport(url) {
+    return {
+      name: 'HTTP',
+      open() {},
+      async write(bytes) {
+        const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/octet-stream' }, body: bytes });
+        if (!res.ok) throw new Error(`${url} answered ${res.status}`);
+      },
+      close() {},
+    };
+  }
+
+  // Wraps a transport so frames pushed while one is still being written
+  // collapse into the latest: scrubbing the slider never queues up a backlog.
+  // onError is called once per failed write.
+  function createOutput(transport, onError) {
+    let busy = false, pending = null;
+    const output = {
+      name: transport.name,
+      sent: 0,
+      open: () => Promise.resolve(transport.open()),
+      close: () => Promise.resolve(transport.close()),
+      async push(bytes) {
+        pending = bytes;
+        if (busy) return;
+        busy = true;
+        try {
+          while (pending) {
+            const next = pending;
+            pending = null;
+            await transport.write(next);
+            output.sent++;
+          }
+        } catch (err) {
+          pending = null;
+          if (onError) onError(err);
+        } finally {
+          busy = false;
+        }
+      },
+    };
+    return output;
+  }
+
+  return {
+    MAGIC, HEADER_BYTES, BAUD_RATE,
+    chainColors, encodeFrame, decodeFrame,
+    serialTransport, webSocketTransport, httpTransport, createOutput,
+  };
+});
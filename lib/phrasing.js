@@ -0,0 +1,68 @@
+// phrasing.js — Time phrasing engine for the word clock
+// Turns hour/minute into lit words using a language pack from lib/languages/.
+// A pack supplies its grid (letters, words) and rules: prefix words that are
+// always lit, 12 minute patterns (one per 5-minute block), 12 hour words and
+// the minute from which the hour refers to the next hour. Loaded by
+// index.html via <script src> (exposed as window.WordClockPhrasing, after the
+// language packs) and by Node tools via require().
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./layout'), {
+      sv: require('./languages/sv'),
+      nb: require('./languages/nb'),
+      da: require('./languages/da'),
+      de: require('./languages/de'),
+      en: require('./languages/en'),
+    });
+  } else {
+    root.WordClockPhrasing = factory(root.WordClockLayout, root.WordClockLanguages || {});
+  }
+})(typeof self !== 'undefined' ? self : this, function (layout, LANGUAGES) {
+
+  const DEFAULT_LANGUAGE = 'sv';
+
+  function getLanguage(code) {
+    const pack = LANGUAGES[code];
+    if (!pack) throw new Error(`Unknown language "${code}" (available: ${Object.keys(LANGUAGES).join(', ')})`);
+    return pack;
+  }
+
+  // Word keys lit for a time with what each one says, in reading order:
+  // [{ word, role }] with role 'prefix', 'minute' or 'hour' (a suffix such as
+  // O'CLOCK belongs to the minute pattern)
+  function getWordRoles(pack, hour, minute) {
+    const mi = Math.floor(minute / 5);
+    const hi = (hour + (minute >= pack.nextHourFrom ? 1 : 0)) % 12;
+    const pattern = pack.minutes[mi];
+    const hourWords = mi === 0 && pack.fullHours ? pack.fullHours : pack.hours;
+    const tag = role => word => ({ word, role });
+    return [
+      ...pack.prefix.map(tag('prefix')), ...pattern.words.map(tag('minute')),
+      { word: hourWords[hi], role: 'hour' }, ...(pattern.after || []).map(tag('minute')),
+    ];
+  }
+
+  // Word keys lit for a time, in reading order: prefix, minute words, hour, suffix
+  function getWords(pack, hour, minute) {
+    return getWordRoles(pack, hour, minute).map(w => w.word);
+  }
+
+  function getActiveIndices(pack, hour, minute) {
+    return getWords(pack, hour, minute).flatMap(w => pack.words[w]);
+  }
+
+  function getTimeText(pack, hour, minute) {
+    return getWords(pack, hour, minute).map(layout.wordSpelling).join(' ');
+  }
+
+  // Number of lit corner dots (0–4)
+  function getCornerDots(minute) {
+    return minute % 5;
+  }
+
+  return {
+    LANGUAGES, DEFAULT_LANGUAGE,
+    getLanguage, getWordRoles, getWords, getActiveIndices, getTimeText, getCornerDots,
+  };
+});
@@ -0,0 +1,80 @@
+// power.js — Current draw estimate for the LED panel
+// Sums WS2812B channel currents over the lit LEDs for every minute of the
+// day, given a colour (or one per cell) and a brightness, and checks the
+// result against a 5 V supply. Loaded by index.html via <script src>
+// (window.WordClockPower).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./phrasing'));
+  else root.WordClockPower = factory(root.WordClockPhrasing);
+})(typeof self !== 'undefined' ? self : this, function (phrasing) {
+
+  const MA_PER_CHANNEL = 20;    // WS2812B, one channel at 255
+  const IDLE_MA = 1;            // quiescent draw per LED, lit or not
+  const SUPPLY_HEADROOM = 0.8;  // don't plan on more than 80 % of the rating
+  const DOT_COUNT = 4;
+
+  // '#ffd78a' → [255, 215, 138]
+  function parseColor(hex) {
+    const m = /^#?([0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!m) throw new Error(`Colour must be 6 hex digits, got "${hex}"`);
+    const n = parseInt(m[1], 16);
+    return [n >> 16, (n >> 8) & 0xff, n & 0xff];
+  }
+
+  // mA for one lit LED on top of its idle draw; brightness is 0–1
+  function ledCurrent(rgb, brightness) {
+    return rgb.reduce((sum, c) => sum + MA_PER_CHANNEL * c / 255, 0) * brightness;
+  }
+
+  // Load for one minute.
+  //   options.color      — '#rrggbb' of lit letters and dots
+  //   options.brightness — 0–1
+  //   options.extra      — cell indices lit regardless of the time (manual toggles)
+  //   options.cellColors — optional (hour, minute) → { index: '#rrggbb' }, cells
+  //                        lit in their own colour (a custom theme's word colours)
+  // Returns { lit, dots, rows, total } with rows and total in mA, idle included.
+  function frameLoad(pack, hour, minute, options) {
+    const per = ledCurrent(parseColor(options.color), options.brightness);
+    const own = options.cellColors ? options.cellColors(hour, minute) : {};
+    const lit = new Set([...phrasing.getActiveIndices(pack, hour, minute), ...(options.extra || [])]);
+    const rows = new Array(pack.rows).fill(pack.cols * IDLE_MA);
+    lit.forEach(i => {
+      rows[Math.floor(i / pack.cols)] += own[i] ? ledCurrent(parseColor(own[i]), options.brightness) : per;
+    });
+    const dots = phrasing.getCornerDots(minute);
+    const total = rows.reduce((a, b) => a + b, 0) + DOT_COUNT * IDLE_MA + dots * per;
+    return { lit: lit.size, dots, rows, total };
+  }
+
+  // Worst case, average and per-row peak over all 1440 minutes.
+  // Returns { worst: { time, mA, lit }, average, rows, idle } in mA; rows
+  // holds each row's own peak, for placing power injection points.
+  function dayBudget(pack, options) {
+    let worst = null, sum = 0;
+    const rows = new Array(pack.rows).fill(0);
+    for (let hour = 0; hour < 24; hour++) {
+      for (let minute = 0; minute < 60; minute++) {
+        const load = frameLoad(pack, hour, minute, options);
+        sum += load.total;
+        load.rows.forEach((mA, r) => { rows[r] = Math.max(rows[r], mA); });
+        if (!worst || load.total > worst.mA) worst = { hour, minute, mA: load.total, lit: load.lit + load.dots };
+      }
+    }
+    const time = String(worst.hour).padStart(2, '0') + ':' + String(worst.minute).padStart(2, '0');
+    return {
+      worst: { time, mA: worst.mA, lit: worst.lit },
+      average: sum / (24 * 60),
+      rows,
+      idle: (pack.cols * pack.rows + DOT_COUNT) * IDLE_MA,
+    };
+  }
+
+  // Whether a supply rated `amps` carries `mA` with headroom to spare
+  function supplyCheck(mA, amps) {
+    const usable = amps * 1000 * SUPPLY_HEADROOM;
+    return { ok: mA <= usable, usable, needed: mA / SUPPLY_HEADROOM / 1000 };
+  }
+
+  return { MA_PER_CHANNEL, IDLE_MA, SUPPLY_HEADROOM, parseColor, ledCurrent, frameLoad, dayBudget, supplyCheck };
+});
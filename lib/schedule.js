@@ -0,0 +1,177 @@
+// schedule.js — Night mode and brightness schedule
+// Sunrise/sunset from latitude/longitude (NOAA approximation, no network),
+// schedule rules such as "sunset+30 50% nordic" or "22:30 10%", the
+// brightness curve they give over a day and a year table for the physical
+// clock. Brightness is in percent. Loaded by index.html via <script src>
+// (window.WordClockSchedule).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WordClockSchedule = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const DAY = 1440;
+  const ZENITH = 90.833;  // sun's centre at the horizon, refraction included
+  const RAD = Math.PI / 180;
+
+  const pad = n => String(n).padStart(2, '0');
+  const wrap = minute => ((Math.round(minute) % DAY) + DAY) % DAY;
+
+  // 0–1439 → 'HH:MM'
+  function formatMinute(minute) {
+    return `${pad(Math.floor(minute / 60))}:${pad(minute % 60)}`;
+  }
+
+  // ============================================================
+  // SUN
+  // ============================================================
+
+  // Local sunrise and sunset in minutes after midnight, for a UTC offset in
+  // minutes (+60 for CET). Both are null on days the sun stays up
+  // (polar: 'day') or stays down (polar: 'night').
+  function sunTimes(year, month, day, lat, lon, utcOffset = 0) {
+    if (!(Math.abs(lat) <= 90)) throw new Error(`Latitude must be between -90 and 90, got ${lat}`);
+    if (!(Math.abs(lon) <= 180)) throw new Error(`Longitude must be between -180 and 180, got ${lon}`);
+    const dayOfYear = (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 864e5 + 1;
+    const daysInYear = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / 864e5;
+    const g = 2 * Math.PI / daysInYear * (dayOfYear - 1);
+    const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+      - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+    const decl = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+      - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+      - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+
+    const cosH = Math.cos(ZENITH * RAD) / (Math.cos(lat * RAD) * Math.cos(decl)) - Math.tan(lat * RAD) * Math.tan(decl);
+    if (cosH > 1) return { sunrise: null, sunset: null, polar: 'night' };
+    if (cosH < -1) return { sunrise: null, sunset: null, polar: 'day' };
+    const h = Math.acos(cosH) / RAD;
+    return {
+      sunrise: wrap(720 - 4 * (lon + h) - eqTime + utcOffset),
+      sunset: wrap(720 - 4 * (lon - h) - eqTime + utcOffset),
+      polar: null,
+    };
+  }
+
+  // ============================================================
+  // RULES
+  // ============================================================
+
+  // One rule per line: <when> <brightness>% [theme]. <when> is HH:MM,
+  // sunrise or sunset, the last two with an optional ±minutes offset.
+  // '#' starts a comment. themes, when given, lists the accepted theme keys.
+  function parseRules(text, themes) {
+    const rules = [];
+    String(text).split('\n').forEach((raw, i) => {
+      const line = raw.replace(/#.*/, '').trim();
+      if (!line) return;
+      const fail = msg => { throw new Error(`Line ${i + 1} ("${line}"): ${msg}`); };
+      const [when, level, theme, ...rest] = line.split(/\s+/);
+      if (rest.length) fail('expected <time> <brightness>% [theme]');
+
+      const rule = {};
+      const clock = /^(\d{1,2}):(\d{2})$/.exec(when);
+      const sun = /^(sunrise|sunset)(?:([+-])(\d+))?$/i.exec(when);
+      if (clock) {
+        const [hour, minute] = [+clock[1], +clock[2]];
+        if (hour > 23 || minute > 59) fail(`no such time "${when}"`);
+        rule.at = hour * 60 + minute;
+      } else if (sun) {
+        rule.sun = sun[1].toLowerCase();
+        rule.offset = sun[2] ? Number(sun[2] + sun[3]) : 0;
+      } else {
+        fail(`unknown time "${when}" (use HH:MM, sunrise or sunset, e.g. sunset+30)`);
+      }
+
+      const pct = /^(\d{1,3})%?$/.exec(level || '');
+      if (!pct || +pct[1] > 100) fail(`brightness must be 0–100 %, got "${level || ''}"`);
+      rule.brightness = +pct[1];
+      if (theme && themes && !themes.includes(theme)) fail(`unknown theme "${theme}" (use ${themes.join(', ')})`);
+      rule.theme = theme || null;
+      rule.source = when;
+      rules.push(rule);
+    });
+    return rules;
+  }
+
+  // The rules as events on one day, sorted by minute: { minute, brightness,
+  // theme, source }. Sun rules are skipped on polar days; a later rule wins
+  // over an earlier one at the same minute.
+  function dayEvents(rules, sun) {
+    const events = [];
+    rules.forEach((rule, order) => {
+      let minute = rule.at;
+      if (rule.sun) {
+        if (sun[rule.sun] === null) return;
+        minute = wrap(sun[rule.sun] + rule.offset);
+      }
+      events.push({ minute, brightness: rule.brightness, theme: rule.theme, source: rule.source, order });
+    });
+    events.sort((a, b) => a.minute - b.minute || a.order - b.order);
+    return events.map(({ order, ...event }) => event);
+  }
+
+  // Brightness and theme at a minute. Each event ramps linearly from the
+  // level before it over `fade` minutes; the theme switches at the event and
+  // holds until the next one that names a theme. Before the first event the
+  // previous evening's events apply. No events: full brightness, no theme.
+  function stateAt(events, minute, fade = 0) {
+    if (!events.length) return { brightness: 100, theme: null, event: null };
+    let i = events.length - 1;
+    while (i >= 0 && events[i].minute > minute) i--;
+    if (i < 0) i = events.length - 1;
+    const event = events[i];
+    const before = events[(i - 1 + events.length) % events.length];
+    const elapsed = wrap(minute - event.minute);
+    const brightness = elapsed < fade
+      ? before.brightness + (event.brightness - before.brightness) * elapsed / fade
+      : event.brightness;
+
+    let theme = null;
+    for (let k = 0; k < events.length && theme === null; k++)
+      theme = events[(i - k + events.length) % events.length].theme;
+    return { brightness: Math.round(brightness), theme, event };
+  }
+
+  // Brightness for every minute of the day
+  function dayCurve(events, fade = 0) {
+    return Array.from({ length: DAY }, (_, minute) => stateAt(events, minute, fade).brightness);
+  }
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  // One entry per day of `year`: { date, sunrise, sunset, events } with
+  // times as 'HH:MM'. utcOffset(year, month, day) gives the offset in
+  // minutes for that date, so daylight saving is followed.
+  function yearTable(rules, { lat, lon, year, fade = 0, utcOffset = () => 0 }) {
+    const days = [];
+    for (let t = Date.UTC(year, 0, 1); t < Date.UTC(year + 1, 0, 1); t += 864e5) {
+      const d = new Date(t);
+      const [y, m, dd] = [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate()];
+      const sun = sunTimes(y, m, dd, lat, lon, utcOffset(y, m, dd));
+      days.push({
+        date: `${y}-${pad(m)}-${pad(dd)}`,
+        sunrise: sun.sunrise === null ? null : formatMinute(sun.sunrise),
+        sunset: sun.sunset === null ? null : formatMinute(sun.sunset),
+        events: dayEvents(rules, sun).map(e => ({ time: formatMinute(e.minute), ...e })),
+      });
+    }
+    return { lat, lon, year, fade, days };
+  }
+
+  function toJSON(table) {
+    return JSON.stringify(table, null, 2) + '\n';
+  }
+
+  // One row per event; the clock ramps to `brightness` from `time` on over
+  // the fade minutes (in the JSON export, or set in the firmware)
+  function toCSV(table) {
+    const lines = [];
+    table.days.forEach(day => day.events.forEach(e =>
+      lines.push([day.date, e.time, e.brightness, e.theme || '', e.source].join(','))));
+    return ['date,time,brightness_pct,theme,source', ...lines].join('\n') + '\n';
+  }
+
+  return { formatMinute, sunTimes, parseRules, dayEvents, stateAt, dayCurve, yearTable, toJSON, toCSV };
+});
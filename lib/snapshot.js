@@ -0,0 +1,432 @@
+// snapshot.js — Render the clock face to SVG or to a bitmap
+// Draws the face the way index.html shows it (frame, corner dots, lit
+// letters with glow, manual toggles) from a theme's CSS variables, so exports
+// match the simulator. renderSVG() is for crisp previews; createRasterizer()
+// draws the same face pixel by pixel with a built-in 5×7 font for PNG/GIF
+// output where no browser is available. Loaded by index.html via <script src>
+// (window.WordClockSnapshot) and by tools/snapshot.js.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./phrasing'));
+  else root.WordClockSnapshot = factory(root.WordClockPhrasing);
+})(typeof self !== 'undefined' ? self : this, function (phrasing) {
+
+  // ============================================================
+  // GEOMETRY (px, mirrors the .clock-frame / .cell / .corner-dot CSS)
+  // ============================================================
+  const FACE = {
+    cell: 64, gap: 4, padding: 40, border: 2, radius: 16,
+    dot: 10, dotInset: 16, fontSize: 28.8, margin: 20,
+  };
+  const FONT_FAMILY = "'JetBrains Mono', monospace";
+
+  // Theme variables a face needs (names without the leading --)
+  const THEME_VARS = [
+    'bg', 'frame-hi', 'frame-lo', 'border', 'cell-off', 'cell-on',
+    'glow1', 'glow2', 'glow3', 'dot-on', 'dot-glow', 'manual', 'manual-glow',
+  ];
+
+  // Text-shadow / box-shadow layers as [variable, blur radius]
+  const CELL_GLOW = [['glow3', 50], ['glow2', 25], ['glow1', 10]];
+  const MANUAL_GLOW = [['manual-glow', 25], ['manual', 10]];
+  const DOT_GLOW = [['dot-glow', 20], ['glow1', 10]];
+
+  function faceSize(pack) {
+    const frameW = pack.cols * FACE.cell + (pack.cols - 1) * FACE.gap + 2 * (FACE.padding + FACE.border);
+    const frameH = pack.rows * FACE.cell + (pack.rows - 1) * FACE.gap + 2 * (FACE.padding + FACE.border);
+    return { frameW, frameH, width: frameW + 2 * FACE.margin, height: frameH + 2 * FACE.margin };
+  }
+
+  // Top-left corner of a cell and of a corner dot (simulator order:
+  // top-left, top-right, bottom-right, bottom-left)
+  function cellOrigin(pack, i) {
+    const inner = FACE.margin + FACE.border + FACE.padding;
+    return {
+      x: inner + (i % pack.cols) * (FACE.cell + FACE.gap),
+      y: inner + Math.floor(i / pack.cols) * (FACE.cell + FACE.gap),
+    };
+  }
+
+  function dotOrigin(pack, d) {
+    const { frameW, frameH } = faceSize(pack);
+    const near = FACE.margin + FACE.border + FACE.dotInset;
+    const farX = FACE.margin + frameW - FACE.border - FACE.dotInset - FACE.dot;
+    const farY = FACE.margin + frameH - FACE.border - FACE.dotInset - FACE.dot;
+    return [{ x: near, y: near }, { x: farX, y: near }, { x: farX, y: farY }, { x: near, y: farY }][d];
+  }
+
+  // ============================================================
+  // THEMES & STATE
+  // ============================================================
+
+  // Theme variables from index.html's CSS: { warm: { 'cell-on': '#ffd78a', … }, arctic: … }.
+  // :root is the default (warm) theme; other themes override it.
+  function parseThemes(css) {
+    const themes = {};
+    const block = /(:root|\[data-theme="([\w-]+)"\])\s*\{([^}]*)\}/g;
+    let m;
+    while ((m = block.exec(css))) {
+      const vars = {};
+      m[3].replace(/--([\w-]+)\s*:\s*([^;]+);/g, (_, name, value) => { vars[name] = value.trim(); });
+      if (m[1] === ':root') themes.warm = vars;
+      else themes[m[2]] = { ...themes.warm, ...vars };
+    }
+    return themes;
+  }
+
+  // '#ffd78a', '#fff' or 'rgba(255,184,77,0.5)' → { r, g, b, a }
+  function parseCssColor(text) {
+    const value = String(text).trim();
+    let m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+    if (m) {
+      const hex = m[1].length === 3 ? m[1].replace(/./g, c => c + c) : m[1];
+      const n = parseInt(hex, 16);
+      return { r: n >> 16, g: (n >> 8) & 0xff, b: n & 0xff, a: 1 };
+    }
+    m = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(value);
+    if (m) return { r: +m[1], g: +m[2], b: +m[3], a: m[4] === undefined ? 1 : +m[4] };
+    throw new Error(`Unsupported colour "${text}"`);
+  }
+
+  // What the face shows at one minute; manual lists manually toggled cells
+  function faceState(pack, hour, minute, manual = []) {
+    return {
+      time: String(hour).padStart(2, '0') + ':' + String(minute).padStart(2, '0'),
+      active: phrasing.getActiveIndices(pack, hour, minute),
+      manual,
+      dots: phrasing.getCornerDots(minute),
+    };
+  }
+
+  // The 288 five-minute states of a day
+  function dayStates(pack) {
+    const states = [];
+    for (let t = 0; t < 24 * 60; t += 5) states.push(faceState(pack, Math.floor(t / 60), t % 60));
+    return states;
+  }
+
+  // ============================================================
+  // SVG
+  // ============================================================
+
+  const escapeXml = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  function svgFilter(id, layers, theme) {
+    const parts = layers.map(([name, blur], n) => {
+      const c = parseCssColor(theme[name]);
+      return `<feGaussianBlur in="SourceAlpha" stdDeviation="${blur / 2}" result="b${n}"/>` +
+        `<feFlood flood-color="rgb(${c.r},${c.g},${c.b})" flood-opacity="${c.a}"/>` +
+        `<feComposite in2="b${n}" operator="in" result="g${n}"/>`;
+    });
+    const merge = layers.map((_, n) => `<feMergeNode in="g${n}"/>`).join('');
+    return `<filter id="${id}" x="-150%" y="-150%" width="400%" height="400%">${parts.join('')}` +
+      `<feMerge>${merge}<feMergeNode in="SourceGraphic"/></feMerge></filter>`;
+  }
+
+  function svgDefs(theme, glow) {
+    // 145deg CSS gradient as a direction vector across the bounding box
+    let defs = `<linearGradient id="frame" x1="0.21" y1="0.09" x2="0.79" y2="0.91">` +
+      `<stop offset="0" stop-color="${theme['frame-hi']}"/><stop offset="1" stop-color="${theme['frame-lo']}"/></linearGradient>`;
+    if (glow) {
+      defs += svgFilter('glow', CELL_GLOW, theme) + svgFilter('manualGlow', MANUAL_GLOW, theme) +
+        svgFilter('dotGlow', DOT_GLOW, theme);
+    }
+    return `<defs>${defs}</defs>`;
+  }
+
+  // Face without <svg>/<defs>, drawn at the origin
+  function svgFace(pack, state, theme, glow) {
+    const { frameW, frameH, width, height } = faceSize(pack);
+    const active = new Set(state.active);
+    const manual = new Set(state.manual || []);
+    const out = [
+      `<rect width="${width}" height="${height}" fill="${theme.bg}"/>`,
+      `<rect x="${FACE.margin + FACE.border / 2}" y="${FACE.margin + FACE.border / 2}" width="${frameW - FACE.border}" ` +
+        `height="${frameH - FACE.border}" rx="${FACE.radius}" fill="url(#frame)" stroke="${theme.border}" stroke-width="${FACE.border}"/>`,
+    ];
+    for (let d = 0; d < 4; d++) {
+      const { x, y } = dotOrigin(pack, d);
+      const lit = d < state.dots;
+      out.push(`<circle cx="${x + FACE.dot / 2}" cy="${y + FACE.dot / 2}" r="${FACE.dot / 2 - 0.5}" ` +
+        `fill="${lit ? theme['dot-on'] : theme['frame-hi']}" stroke="${lit ? theme['dot-on'] : theme.border}"` +
+        `${lit && glow ? ' filter="url(#dotGlow)"' : ''}/>`);
+    }
+    out.push(`<g font-family="${FONT_FAMILY}" font-weight="700" font-size="${FACE.fontSize}" text-anchor="middle">`);
+    pack.letters.forEach((letter, i) => {
+      const { x, y } = cellOrigin(pack, i);
+      const fill = manual.has(i) ? theme.manual : active.has(i) ? theme['cell-on'] : theme['cell-off'];
+      const filter = !glow ? '' : manual.has(i) ? ' filter="url(#manualGlow)"' : active.has(i) ? ' filter="url(#glow)"' : '';
+      out.push(`<text x="${x + FACE.cell / 2}" y="${y + FACE.cell / 2}" dy="0.35em" fill="${fill}"${filter}>${escapeXml(letter)}</text>`);
+    });
+    out.push('</g>');
+    return out.join('\n');
+  }
+
+  // Standalone SVG of one face. options.glow (default true) adds the glow filters.
+  function renderSVG(pack, state, theme, options = {}) {
+    const glow = options.glow !== false;
+    const { width, height } = faceSize(pack);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+      `${svgDefs(theme, glow)}\n${svgFace(pack, state, theme, glow)}\n</svg>\n`;
+  }
+
+  // Grid of faces with their time underneath, e.g. all 288 states of a day.
+  // options: columns (default 12), scale (default 0.25), glow (default true)
+  function contactSheetSVG(pack, states, theme, options = {}) {
+    const columns = options.columns || 12;
+    const scale = options.scale || 0.25;
+    const glow = options.glow !== false;
+    const face = faceSize(pack);
+    const labelH = 18;
+    const tileW = face.width * scale, tileH = face.height * scale + labelH;
+    const width = columns * tileW, height = Math.ceil(states.length / columns) * tileH;
+    const tiles = states.map((state, n) => {
+      const x = (n % columns) * tileW, y = Math.floor(n / columns) * tileH;
+      return `<g transform="translate(${x} ${y}) scale(${scale})">${svgFace(pack, state, theme, glow)}</g>` +
+        `<text x="${x + tileW / 2}" y="${y + tileH - 5}" text-anchor="middle" font-family="${FONT_FAMILY}" ` +
+        `font-size="11" fill="${theme['cell-on']}">${state.time}</text>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+      `${svgDefs(theme, glow)}\n<rect width="${width}" height="${height}" fill="${theme.bg}"/>\n${tiles.join('\n')}\n</svg>\n`;
+  }
+
+  // ============================================================
+  // BITMAP FONT (5×7 capitals; diacritics drawn above the cap height)
+  // ============================================================
+  const GLYPHS = {
+    A: '.###.#...##...#######...##...##...#', B: '####.#...##...#####.#...##...#####.',
+    C: '.###.#...##....#....#....#...#.###.', D: '####.#...##...##...##...##...#####.',
+    E: '######....#....####.#....#....#####', F: '######....#....####.#....#....#....',
+    G: '.###.#...##....#.####...##...#.####', H: '#...##...##...#######...##...##...#',
+    I: '.###...#....#....#....#....#...###.', J: '..###...#....#....#....#.#..#..##..',
+    K: '#...##..#.#.#..##...#.#..#..#.#...#', L: '#....#....#....#....#....#....#####',
+    M: '#...###.###.#.##.#.##...##...##...#', N: '#...##...###..##.#.##..###...##...#',
+    O: '.###.#...##...##...##...##...#.###.', P: '####.#...##...#####.#....#....#....',
+    Q: '.###.#...##...##...##.#.##..#..##.#', R: '####.#...##...#####.#.#..#..#.#...#',
+    S: '.#####....#.....###.....#....#####.', T: '#####..#....#....#....#....#....#..',
+    U: '#...##...##...##...##...##...#.###.', V: '#...##...##...##...##...#.#.#...#..',
+    W: '#...##...##...##.#.##.#.##.#.#.#.#.', X: '#...##...#.#.#...#...#.#.#...##...#',
+    Y: '#...##...#.#.#...#....#....#....#..', Z: '#####....#...#...#...#...#....#####',
+    Æ: '.#####.#..#.#..######.#..#.#..#.###', Ø: '.###.#..###.#.##.#.##.#.###..#.###.',
+    0: '.###.#...##..###.#.###..##...#.###.', 1: '..#...##....#....#....#....#...###.',
+    2: '.###.#...#....#...#...#...#...#####', 3: '#####...#...#.....#.....##...#.###.',
+    4: '...#...##..#.#.#..#.#####...#....#.', 5: '######....####.....#....##...#.###.',
+    6: '..##..#...#....####.#...##...#.###.', 7: '#####....#...#...#...#....#....#...',
+    8: '.###.#...##...#.###.#...##...#.###.', 9: '.###.#...##...#.####....#...#..##..',
+    ':': '.......#....#.........#....#.......',
+  };
+  const ACCENTS = {
+    Å: ['A', ['..#..', '.#.#.', '..#..']],
+    Ä: ['A', ['.#.#.', '.....']], Ö: ['O', ['.#.#.', '.....']], Ü: ['U', ['.#.#.', '.....']],
+  };
+
+  // Rows of a glyph from the top of the cap height: row -1, -2, … are accents
+  function glyphRows(letter) {
+    if (ACCENTS[letter]) {
+      const [base, marks] = ACCENTS[letter];
+      return { rows: [...marks, ...glyphRows(base).rows], top: -marks.length };
+    }
+    const bits = GLYPHS[letter] || '######...##...##...##...##...######'; // unknown: box
+    const rows = [];
+    for (let r = 0; r < 7; r++) rows.push(bits.slice(r * 5, r * 5 + 5));
+    return { rows, top: 0 };
+  }
+
+  // Writes text into an RGB bitmap with the 5×7 font; px is the font pixel
+  // size and (x, y) the top-left corner of the cap height.
+  function drawText(rgb, width, text, x, y, px, [r, g, b]) {
+    const height = rgb.length / 3 / width;
+    [...text].forEach((letter, n) => {
+      if (letter === ' ') return;
+      const { rows, top } = glyphRows(letter);
+      rows.forEach((row, ry) => [...row].forEach((bit, rx) => {
+        if (bit !== '#') return;
+        for (let dy = 0; dy < px; dy++) for (let dx = 0; dx < px; dx++) {
+          const X = x + (n * 6 + rx) * px + dx, Y = y + (top + ry) * px + dy;
+          if (X < 0 || X >= width || Y < 0 || Y >= height) continue;
+          rgb.set([r, g, b], (Y * width + X) * 3);
+        }
+      }));
+    });
+  }
+
+  // ============================================================
+  // RASTER
+  // ============================================================
+
+  // Three box blurs ≈ one Gaussian with the CSS blur radius (σ = radius / 2)
+  function blur(alpha, w, h, radius) {
+    const sigma = radius / 2;
+    const box = Math.max(1, Math.round((Math.sqrt(4 * sigma * sigma + 1) - 1) / 2));
+    const tmp = new Float32Array(alpha.length);
+    const pass = (src, dst, horizontal) => {
+      const len = horizontal ? w : h, lines = horizontal ? h : w;
+      for (let l = 0; l < lines; l++) {
+        const at = k => horizontal ? l * w + k : k * w + l;
+        let sum = 0;
+        for (let k = -box; k <= box; k++) if (k >= 0 && k < len) sum += src[at(k)];
+        for (let k = 0; k < len; k++) {
+          dst[at(k)] = sum / (2 * box + 1);
+          if (k + box + 1 < len) sum += src[at(k + box + 1)];
+          if (k - box >= 0) sum -= src[at(k - box)];
+        }
+      }
+    };
+    for (let n = 0; n < 3; n++) { pass(alpha, tmp, true); pass(tmp, alpha, false); }
+    return alpha;
+  }
+
+  // Draws faces of one pack and theme into RGB bitmaps. Glyph and glow
+  // sprites are prepared once, so rendering all 288 states stays fast.
+  // options: scale (default 1), glow (default true)
+  // Returns { width, height, render(state) → Uint8Array of RGB }.
+  function createRasterizer(pack, theme, options = {}) {
+    const scale = options.scale || 1;
+    const glow = options.glow !== false;
+    const face = faceSize(pack);
+    const width = Math.round(face.width * scale), height = Math.round(face.height * scale);
+    const color = name => parseCssColor(theme[name]);
+    const px = Math.max(1, Math.round(3 * scale)); // font pixel size
+    const pad = glow ? Math.ceil(1.5 * Math.max(...CELL_GLOW.map(l => l[1])) * scale) : 0;
+
+    const base = new Float32Array(width * height * 3);
+    const put = (buf, i, c, a) => {
+      buf[i * 3] += (c.r - buf[i * 3]) * a;
+      buf[i * 3 + 1] += (c.g - buf[i * 3 + 1]) * a;
+      buf[i * 3 + 2] += (c.b - buf[i * 3 + 2]) * a;
+    };
+
+    // Page, frame gradient and border (sampled at pixel centres)
+    const bg = color('bg'), hi = color('frame-hi'), lo = color('frame-lo'), border = color('border');
+    const fx = FACE.margin * scale, fy = FACE.margin * scale;
+    const fw = face.frameW * scale, fh = face.frameH * scale, rad = FACE.radius * scale, bw = FACE.border * scale;
+    const inside = (x, y, inset) => {
+      const l = fx + inset, t = fy + inset, r = fx + fw - inset, b = fy + fh - inset, rr = Math.max(0, rad - inset);
+      if (x < l || x > r || y < t || y > b) return false;
+      const cx = Math.min(Math.max(x, l + rr), r - rr), cy = Math.min(Math.max(y, t + rr), b - rr);
+      return (x - cx) ** 2 + (y - cy) ** 2 <= rr * rr;
+    };
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x, cx = x + 0.5, cy = y + 0.5;
+        put(base, i, bg, 1);
+        if (!inside(cx, cy, 0)) continue;
+        if (!inside(cx, cy, bw)) { put(base, i, border, 1); continue; }
+        const t = Math.min(1, Math.max(0, (0.574 * (cx - fx) / fw + 0.819 * (cy - fy) / fh) / 1.393));
+        put(base, i, { r: hi.r + (lo.r - hi.r) * t, g: hi.g + (lo.g - hi.g) * t, b: hi.b + (lo.b - hi.b) * t }, 1);
+      }
+    }
+
+    // Sprite: alpha mask of a cell's glyph (or a dot) padded for its glow
+    const glyphMask = letter => {
+      const size = Math.round(FACE.cell * scale) + 2 * pad;
+      const mask = new Float32Array(size * size);
+      const { rows, top } = glyphRows(letter);
+      const x0 = pad + Math.round((FACE.cell * scale - 5 * px) / 2);
+      const y0 = pad + Math.round((FACE.cell * scale - 7 * px) / 2);
+      rows.forEach((row, r) => [...row].forEach((bit, c) => {
+        if (bit !== '#') return;
+        for (let dy = 0; dy < px; dy++) for (let dx = 0; dx < px; dx++)
+          mask[(y0 + (top + r) * px + dy) * size + x0 + c * px + dx] = 1;
+      }));
+      return { size, mask };
+    };
+    const dotMask = (inset = 0) => {
+      const dpad = glow ? Math.ceil(1.5 * 20 * scale) : 0;
+      const size = Math.ceil(FACE.dot * scale) + 2 * dpad, r = FACE.dot * scale / 2 - inset, c = size / 2;
+      const mask = new Float32Array(size * size);
+      for (let y = 0; y < size; y++) for (let x = 0; x < size; x++)
+        mask[y * size + x] = Math.min(1, Math.max(0, r + 0.5 - Math.hypot(x + 0.5 - c, y + 0.5 - c)));
+      return { size, mask, pad: dpad };
+    };
+    const glowLayers = (sprite, layers) => glow ? layers.map(([name, radius]) => ({
+      c: color(name), alpha: blur(Float32Array.from(sprite.mask), sprite.size, sprite.size, radius * scale),
+    })) : [];
+
+    const sprites = {};
+    const letterSprite = letter => {
+      if (!sprites[letter]) {
+        const s = glyphMask(letter);
+        sprites[letter] = { ...s, glow: glowLayers(s, CELL_GLOW), manualGlow: glowLayers(s, MANUAL_GLOW) };
+      }
+      return sprites[letter];
+    };
+    const dot = dotMask();
+    dot.glow = glowLayers(dot, DOT_GLOW);
+
+    const stamp = (buf, sprite, ox, oy, alpha, c) => {
+      for (let y = 0; y < sprite.size; y++) {
+        const py = oy + y;
+        if (py < 0 || py >= height) continue;
+        for (let x = 0; x < sprite.size; x++) {
+          const pxx = ox + x, a = alpha[y * sprite.size + x] * c.a;
+          if (pxx >= 0 && pxx < width && a > 0.002) put(buf, py * width + pxx, c, Math.min(1, a));
+        }
+      }
+    };
+    const cellAt = i => {
+      const o = cellOrigin(pack, i);
+      return { x: Math.round(o.x * scale) - pad, y: Math.round(o.y * scale) - pad };
+    };
+    const dotAt = d => {
+      const o = dotOrigin(pack, d);
+      return { x: Math.round(o.x * scale) - dot.pad, y: Math.round(o.y * scale) - dot.pad };
+    };
+
+    // Unlit letters and dots belong to the base image
+    const cellOff = color('cell-off');
+    pack.letters.forEach((letter, i) => {
+      const { x, y } = cellAt(i);
+      const s = letterSprite(letter);
+      stamp(base, s, x, y, s.mask, cellOff);
+    });
+    const dotInner = dotMask(FACE.border / 2 * scale); // 1px border in the simulator
+    for (let d = 0; d < 4; d++) {
+      const { x, y } = dotAt(d);
+      stamp(base, dot, x, y, dot.mask, border);
+      stamp(base, dotInner, x, y, dotInner.mask, hi);
+    }
+
+    function render(state) {
+      const buf = Float32Array.from(base);
+      const active = new Set(state.active);
+      const manual = new Set(state.manual || []);
+      const lit = pack.letters.map((letter, i) => ({ i, letter, manual: manual.has(i) }))
+        .filter(({ i, manual: m }) => m || active.has(i));
+      const dotOn = color('dot-on');
+      // Glows first so no halo covers a neighbouring letter
+      lit.forEach(({ i, letter, manual: m }) => {
+        const { x, y } = cellAt(i);
+        const s = letterSprite(letter);
+        (m ? s.manualGlow : s.glow).forEach(layer => stamp(buf, s, x, y, layer.alpha, layer.c));
+      });
+      for (let d = 0; d < state.dots; d++) {
+        const { x, y } = dotAt(d);
+        dot.glow.forEach(layer => stamp(buf, dot, x, y, layer.alpha, layer.c));
+      }
+      const on = color('cell-on'), manualColor = color('manual');
+      lit.forEach(({ i, letter, manual: m }) => {
+        const { x, y } = cellAt(i);
+        const s = letterSprite(letter);
+        stamp(buf, s, x, y, s.mask, m ? manualColor : on);
+      });
+      for (let d = 0; d < state.dots; d++) {
+        const { x, y } = dotAt(d);
+        stamp(buf, dot, x, y, dot.mask, dotOn);
+      }
+      const rgb = new Uint8Array(width * height * 3);
+      for (let n = 0; n < rgb.length; n++) rgb[n] = Math.round(Math.min(255, Math.max(0, buf[n])));
+      return rgb;
+    }
+
+    return { width, height, render };
+  }
+
+  return {
+    FACE, THEME_VARS,
+    faceSize, parseThemes, parseCssColor, faceState, dayStates,
+    renderSVG, contactSheetSVG, createRasterizer, drawText,
+  };
+});
@@ -0,0 +1,431 @@
+// solid.js — Solid geometry for the 3D-printed parts
+// The STLBuilder shared by laser/generate-backplate.js and
+// laser/generate-frontplate-test.js: boxes, cylinders and extruded plates
+// with real through-holes. A plate is an outline polygon minus any number of
+// hole polygons (polygonised circles, square windows); its top and bottom
+// faces are triangulated around the holes and every hole gets an inner wall,
+// so each plate is one closed solid a slicer prints without drilling.
+// Parts are written as ASCII or binary STL, or as 3MF with name, units and
+// colour. Loaded by the generators in laser/ via require(). No dependencies
+// required.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WordClockSolid = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // ============================================================
+  // POLYGONS (2D, [[x, y], …])
+  // ============================================================
+
+  // Circle as a regular polygon, counter-clockwise. The polygon circumscribes
+  // the circle (its flats touch radius r), so a printed hole is never
+  // smaller than its nominal diameter.
+  function circle(cx, cy, r, segments = 24) {
+    const R = r / Math.cos(Math.PI / segments);
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+      const a = (2 * Math.PI * (i + 0.5)) / segments;
+      points.push([cx + R * Math.cos(a), cy + R * Math.sin(a)]);
+    }
+    return points;
+  }
+
+  // Axis-aligned rectangle from (x, y) to (x+w, y+d), counter-clockwise
+  function rect(x, y, w, d) {
+    return [[x, y], [x + w, y], [x + w, y + d], [x, y + d]];
+  }
+
+  function signedArea(poly) {
+    let a = 0;
+    for (let i = 0; i < poly.length; i++) {
+      const [x1, y1] = poly[i], [x2, y2] = poly[(i + 1) % poly.length];
+      a += x1 * y2 - x2 * y1;
+    }
+    return a / 2;
+  }
+
+  function cross(a, b, c) {
+    return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  }
+
+  function same(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+  }
+
+  function pointInPolygon(p, poly) {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+      const [xi, yi] = poly[i], [xj, yj] = poly[j];
+      if ((yi > p[1]) !== (yj > p[1]) && p[0] < (xj - xi) * (p[1] - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  // True when segment a–b crosses segment c–d or passes through one of its
+  // ends; segments that only share an end point do not count.
+  function blocks(a, b, c, d) {
+    if (same(a, c) || same(a, d) || same(b, c) || same(b, d)) return false;
+    const d1 = cross(a, b, c), d2 = cross(a, b, d), d3 = cross(c, d, a), d4 = cross(c, d, b);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+    const onSegment = p => cross(a, b, p) === 0 &&
+      Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+      Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+    return onSegment(c) || onSegment(d);
+  }
+
+  // True when point h lies inside the polygon's corner at vertex i. Picks the
+  // right copy of a vertex that an earlier bridge has duplicated.
+  function inWedge(poly, i, h) {
+    const p = poly[(i + poly.length - 1) % poly.length], v = poly[i], n = poly[(i + 1) % poly.length];
+    return cross(p, v, n) >= 0
+      ? cross(p, v, h) > 0 && cross(v, n, h) > 0
+      : cross(p, v, h) > 0 || cross(v, n, h) > 0;
+  }
+
+  // ============================================================
+  // TRIANGULATION (ear clipping, holes bridged into the outline)
+  // ============================================================
+
+  // Joins each hole to the outline with a zero-width cut along the shortest
+  // segment that crosses no other edge, giving one weakly simple polygon.
+  function bridgeHoles(outline, holes) {
+    let ring = outline.slice();
+    const pending = holes.slice();
+    while (pending.length) {
+      const hole = pending.shift();
+      const edges = [];
+      for (const poly of [ring, ...pending])
+        poly.forEach((p, i) => edges.push([p, poly[(i + 1) % poly.length]]));
+      const candidates = [];
+      ring.forEach((v, vi) => hole.forEach((h, hi) =>
+        candidates.push({ vi, hi, dist: (v[0] - h[0]) ** 2 + (v[1] - h[1]) ** 2 })));
+      candidates.sort((a, b) => a.dist - b.dist);
+      const bridge = candidates.find(({ vi, hi }) => {
+        const v = ring[vi], h = hole[hi];
+        if (!inWedge(ring, vi, h)) return false;
+        const mid = [(v[0] + h[0]) / 2, (v[1] + h[1]) / 2];
+        if (!pointInPolygon(mid, ring) || pointInPolygon(mid, hole) || pending.some(p => pointInPolygon(mid, p))) return false;
+        return !edges.some(([c, d]) => blocks(v, h, c, d)) && !hole.some((p, i) => blocks(v, h, p, hole[(i + 1) % hole.length]));
+      });
+      if (!bridge) throw new Error('Plate hole overlaps the outline or another hole');
+      const { vi, hi } = bridge;
+      ring = [...ring.slice(0, vi + 1), ...hole.slice(hi), ...hole.slice(0, hi + 1), ring[vi], ...ring.slice(vi + 1)];
+    }
+    return ring;
+  }
+
+  // Outline counter-clockwise, holes clockwise; returns counter-clockwise
+  // triangles [[a, b, c], …].
+  function triangulate(outline, holes = []) {
+    const poly = bridgeHoles(outline, holes);
+    const idx = poly.map((_, i) => i);
+    const triangles = [];
+    let i = 0, stall = 0;
+    while (idx.length > 3) {
+      const n = idx.length;
+      const a = poly[idx[(i + n - 1) % n]], b = poly[idx[i % n]], c = poly[idx[(i + 1) % n]];
+      let ear = cross(a, b, c) > 0;
+      // Only reflex vertices can block an ear
+      for (let k = 0; ear && k < n; k++) {
+        const p = poly[idx[k]];
+        if (same(p, a) || same(p, b) || same(p, c)) continue;
+        if (cross(poly[idx[(k + n - 1) % n]], p, poly[idx[(k + 1) % n]]) > 0) continue;
+        if (cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0) ear = false;
+      }
+      if (ear) {
+        triangles.push([a, b, c]);
+        idx.splice(i % n, 1);
+        stall = 0;
+      } else if (++stall > n) {
+        throw new Error('Could not triangulate plate outline');
+      } else {
+        i++;
+      }
+      i %= idx.length;
+    }
+    triangles.push(idx.map(k => poly[k]));
+    return triangles;
+  }
+
+  // ============================================================
+  // STL BUILDER (ASCII/binary STL, 3MF)
+  // ============================================================
+
+  class STLBuilder {
+    constructor() {
+      this.triangles = [];
+    }
+
+    // Add a triangle with vertices [x,y,z] and computed normal
+    addTriangle(v1, v2, v3) {
+      // Compute normal via cross product
+      const u = [v2[0]-v1[0], v2[1]-v1[1], v2[2]-v1[2]];
+      const v = [v3[0]-v1[0], v3[1]-v1[1], v3[2]-v1[2]];
+      const n = [
+        u[1]*v[2] - u[2]*v[1],
+        u[2]*v[0] - u[0]*v[2],
+        u[0]*v[1] - u[1]*v[0]
+      ];
+      const len = Math.sqrt(n[0]*n[0] + n[1]*n[1] + n[2]*n[2]);
+      if (len > 0) { n[0]/=len; n[1]/=len; n[2]/=len; }
+      this.triangles.push({ n, v1, v2, v3 });
+    }
+
+    // Add a rectangular face as 2 triangles (vertices in CCW order for outward normal)
+    addQuad(a, b, c, d) {
+      this.addTriangle(a, b, c);
+      this.addTriangle(a, c, d);
+    }
+
+    // Add a box from (x,y,z) to (x+w, y+d, z+h)
+    addBox(x, y, z, w, d, h) {
+      const x2 = x+w, y2 = y+d, z2 = z+h;
+      // Bottom (z=z, normal -Z)
+      this.addQuad([x,y2,z],[x2,y2,z],[x2,y,z],[x,y,z]);
+      // Top (z=z2, normal +Z)
+      this.addQuad([x,y,z2],[x2,y,z2],[x2,y2,z2],[x,y2,z2]);
+      // Front (y=y, normal -Y)
+      this.addQuad([x,y,z],[x2,y,z],[x2,y,z2],[x,y,z2]);
+      // Back (y=y2, normal +Y)
+      this.addQuad([x2,y2,z],[x,y2,z],[x,y2,z2],[x2,y2,z2]);
+      // Left (x=x, normal -X)
+      this.addQuad([x,y2,z],[x,y,z],[x,y,z2],[x,y2,z2]);
+      // Right (x=x2, normal +X)
+      this.addQuad([x2,y,z],[x2,y2,z],[x2,y2,z2],[x2,y,z2]);
+    }
+
+    // Approximate a cylinder (vertical, along Z) as a polygon
+    addCylinder(cx, cy, z, r, h, segments = 16) {
+      this.addPlate(circle(cx, cy, r, segments), [], z, h);
+    }
+
+    // Extrude an outline polygon from z to z+h, minus the hole polygons,
+    // which become through-holes with inner walls. Winding is normalised, so
+    // circle()/rect() results can be passed as they are. With axis 'x' or 'y'
+    // the plate is extruded along that axis instead, the polygons given in
+    // (y, z) or (z, x) coordinates.
+    addPlate(outline, holes, z, h, axis = 'z') {
+      const place = {
+        z: ([u, v], w) => [u, v, w],
+        x: ([u, v], w) => [w, u, v],
+        y: ([u, v], w) => [v, w, u],
+      }[axis];
+      const ccw = p => signedArea(p) > 0 ? p : p.slice().reverse();
+      const outer = ccw(outline);
+      const inner = holes.map(p => ccw(p).reverse());
+      const z2 = z + h;
+      for (const [a, b, c] of triangulate(outer, inner)) {
+        this.addTriangle(place(a, z2), place(b, z2), place(c, z2));
+        this.addTriangle(place(c, z), place(b, z), place(a, z));
+      }
+      // Side walls: outward on the outline, facing into each hole
+      for (const loop of [outer, ...inner]) {
+        loop.forEach((p, i) => {
+          const q = loop[(i + 1) % loop.length];
+          this.addQuad(place(p, z), place(q, z), place(q, z2), place(p, z2));
+        });
+      }
+    }
+
+    // Copy another builder's triangles, moved by (dx, dy, dz)
+    addMesh(other, dx = 0, dy = 0, dz = 0) {
+      const move = v => [v[0] + dx, v[1] + dy, v[2] + dz];
+      for (const t of other.triangles) this.triangles.push({ n: t.n, v1: move(t.v1), v2: move(t.v2), v3: move(t.v3) });
+    }
+
+    // Shared vertex list with coincident corners merged: coordinates are
+    // snapped to 0.0001mm and triangles that collapse in the process are
+    // dropped. Parts are not unioned: the faces where two boxes touch stay
+    // in the mesh, so their edges are non-manifold (see lib/mesh-validator.js).
+    // Returns { vertices: [[x,y,z]], faces: [[i,j,k]], normals: [[x,y,z]] }.
+    mesh() {
+      const vertices = [], faces = [], normals = [];
+      const index = new Map();
+      const vertex = v => {
+        const p = v.map(c => Math.round(c * 1e4) / 1e4 + 0); // + 0 turns -0 into 0
+        const key = p.join(',');
+        if (!index.has(key)) { index.set(key, vertices.length); vertices.push(p); }
+        return index.get(key);
+      };
+      for (const t of this.triangles) {
+        const f = [vertex(t.v1), vertex(t.v2), vertex(t.v3)];
+        if (f[0] === f[1] || f[1] === f[2] || f[2] === f[0]) continue;
+        faces.push(f);
+        normals.push(t.n);
+      }
+      return { vertices, faces, normals };
+    }
+
+    toSTL(name = 'solid') {
+      const { vertices, faces, normals } = this.mesh();
+      const e = v => `${v[0].toExponential(6)} ${v[1].toExponential(6)} ${v[2].toExponential(6)}`;
+      let stl = `solid ${name}\n`;
+      faces.forEach((f, i) => {
+        stl += `  facet normal ${e(normals[i])}\n`;
+        stl += `    outer loop\n`;
+        for (const k of f) stl += `      vertex ${e(vertices[k])}\n`;
+        stl += `    endloop\n`;
+        stl += `  endfacet\n`;
+      });
+      stl += `endsolid ${name}\n`;
+      return stl;
+    }
+
+    // Binary STL: 80-byte header, triangle count, 50 bytes per triangle
+    toBinarySTL(name = 'solid') {
+      const { vertices, faces, normals } = this.mesh();
+      const bytes = new Uint8Array(84 + faces.length * 50);
+      const view = new DataView(bytes.buffer);
+      // The header must not start with "solid", or readers take it for ASCII
+      bytes.set(new TextEncoder().encode(`binary STL: ${name}`.slice(0, 80)));
+      view.setUint32(80, faces.length, true);
+      faces.forEach((f, i) => {
+        let at = 84 + i * 50;
+        for (const v of [normals[i], ...f.map(k => vertices[k])]) {
+          for (const c of v) { view.setFloat32(at, c, true); at += 4; }
+        }
+      });
+      return bytes;
+    }
+
+    // 3MF package (a zip) holding one object in millimetres, named after the
+    // section and coloured with options.color ('#rrggbb'). options.deflate
+    // (e.g. zlib.deflateRawSync) compresses the entries; without it they are
+    // stored.
+    to3MF(name = 'solid', options = {}) {
+      const { vertices, faces } = this.mesh();
+      const color = (options.color || '#cccccc').toUpperCase() + 'FF';
+      const xml = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+      const model = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+        `  <metadata name="Title">${xml(name)}</metadata>`,
+        '  <metadata name="Application">Swedish Word Clock</metadata>',
+        '  <resources>',
+        '    <basematerials id="1">',
+        `      <base name="${xml(options.material || 'PLA')}" displaycolor="${color}" />`,
+        '    </basematerials>',
+        `    <object id="2" name="${xml(name)}" type="model" pid="1" pindex="0">`,
+        '      <mesh>',
+        '        <vertices>',
+        ...vertices.map(([x, y, z]) => `          <vertex x="${x}" y="${y}" z="${z}" />`),
+        '        </vertices>',
+        '        <triangles>',
+        ...faces.map(([a, b, c]) => `          <triangle v1="${a}" v2="${b}" v3="${c}" />`),
+        '        </triangles>',
+        '      </mesh>',
+        '    </object>',
+        '  </resources>',
+        '  <build>',
+        '    <item objectid="2" />',
+        '  </build>',
+        '</model>',
+      ].join('\n');
+      const contentTypes = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+        '  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml" />',
+        '  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml" />',
+        '</Types>',
+      ].join('\n');
+      const rels = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+        '  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel" />',
+        '</Relationships>',
+      ].join('\n');
+      return zip([
+        ['[Content_Types].xml', contentTypes],
+        ['_rels/.rels', rels],
+        ['3D/3dmodel.model', model],
+      ], options.deflate);
+    }
+  }
+
+  // Output formats and their file extensions
+  const FORMATS = { binary: '.stl', ascii: '.stl', '3mf': '.3mf' };
+
+  // Write a builder in one of FORMATS; options as for to3MF()
+  function encode(builder, format, name, options = {}) {
+    if (format === 'ascii') return builder.toSTL(name);
+    if (format === 'binary') return builder.toBinarySTL(name);
+    if (format === '3mf') return builder.to3MF(name, options);
+    throw new Error(`Unknown format "${format}" (available: ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  // ============================================================
+  // ZIP (for 3MF)
+  // ============================================================
+
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (const byte of bytes) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  // files: [[name, text]]. Timestamps are fixed at 1980-01-01 so the same
+  // model always gives the same bytes.
+  function zip(files, deflate) {
+    const encoder = new TextEncoder();
+    const parts = [], central = [];
+    let offset = 0;
+    for (const [name, text] of files) {
+      const nameBytes = encoder.encode(name);
+      const data = encoder.encode(text);
+      const packed = deflate ? new Uint8Array(deflate(data)) : data;
+      const crc = crc32(data);
+      const method = deflate ? 8 : 0;
+
+      const local = new Uint8Array(30 + nameBytes.length);
+      let view = new DataView(local.buffer);
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint16(4, 20, true);                  // version needed
+      view.setUint16(8, method, true);
+      view.setUint16(12, 0x21, true);               // date: 1980-01-01
+      view.setUint32(14, crc, true);
+      view.setUint32(18, packed.length, true);
+      view.setUint32(22, data.length, true);
+      view.setUint16(26, nameBytes.length, true);
+      local.set(nameBytes, 30);
+
+      const entry = new Uint8Array(46 + nameBytes.length);
+      view = new DataView(entry.buffer);
+      view.setUint32(0, 0x02014b50, true);
+      view.setUint16(4, 20, true);                  // version made by
+      view.setUint16(6, 20, true);                  // version needed
+      view.setUint16(10, method, true);
+      view.setUint16(14, 0x21, true);
+      view.setUint32(16, crc, true);
+      view.setUint32(20, packed.length, true);
+      view.setUint32(24, data.length, true);
+      view.setUint16(28, nameBytes.length, true);
+      view.setUint32(42, offset, true);             // local header offset
+      entry.set(nameBytes, 46);
+
+      central.push(entry);
+      parts.push(local, packed);
+      offset += local.length + packed.length;
+    }
+    const centralSize = central.reduce((n, h) => n + h.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+    const out = new Uint8Array(offset + centralSize + 22);
+    let at = 0;
+    for (const part of [...parts, ...central, end]) { out.set(part, at); at += part.length; }
+    return out;
+  }
+
+  return { FORMATS, circle, rect, signedArea, pointInPolygon, triangulate, STLBuilder, encode };
+});
@@ -0,0 +1,360 @@
+// stencil.js — Built-in stencil letters as cut-ready outlines
+// A small geometric sans drawn from strokes, bowls and rings, so the stencil
+// variant needs neither a font nor Inkscape. Each glyph is merged into closed
+// outlines; every enclosed counter (O, A, Ö, R, the ring of Å …) then gets a
+// bridge above and below it, so no inner piece falls out of the panel. Glyphs
+// are centred on their outline's bounding box. Loaded by
+// laser/generate-laser-files.js and lib/config.js via require(). No
+// dependencies required.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WordClockStencil = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const LETTER_HEIGHT = 0.5;  // cap height as a fraction of the cell window (cutout)
+  const STROKE = 0.15;        // stroke width as a fraction of the cap height
+
+  // Glyphs are drawn in font units: cap height 1000, baseline at 0, y up
+  const EM = 1000;
+  const W = STROKE * EM;
+  const SEGMENTS = 48;        // per full ellipse
+  const DEG = Math.PI / 180;
+
+  // ============================================================
+  // STROKES
+  // Every part is a list of contours: counter-clockwise around ink,
+  // clockwise around a hole in it.
+  // ============================================================
+
+  function box(x0, y0, x1, y1) {
+    return [[[x0, y0], [x1, y0], [x1, y1], [x0, y1]]];
+  }
+
+  // Diagonal stroke between two centre points with horizontal ends, as wide
+  // across as a vertical stem
+  function slant(xb, yb, xt, yt) {
+    const half = W * Math.hypot(xt - xb, yt - yb) / Math.abs(yt - yb) / 2;
+    return [[[xb - half, yb], [xb + half, yb], [xt + half, yt], [xt - half, yt]]];
+  }
+
+  function ellipse(cx, cy, rx, ry, a0, a1) {
+    const n = Math.max(2, Math.ceil(SEGMENTS * Math.abs(a1 - a0) / (2 * Math.PI)));
+    return Array.from({ length: n + 1 }, (_, i) => {
+      const a = a0 + (a1 - a0) * i / n;
+      return [cx + rx * Math.cos(a), cy + ry * Math.sin(a)];
+    });
+  }
+
+  function ring(cx, cy, rx, ry, w = W) {
+    return [
+      ellipse(cx, cy, rx, ry, 0, 2 * Math.PI).slice(1),
+      ellipse(cx, cy, rx - w, ry - w, 2 * Math.PI, 0).slice(1),
+    ];
+  }
+
+  // Part of a ring from angle a0 to a1 (degrees, counter-clockwise)
+  function arc(cx, cy, rx, ry, a0, a1) {
+    return [[...ellipse(cx, cy, rx, ry, a0 * DEG, a1 * DEG), ...ellipse(cx, cy, rx - W, ry - W, a1 * DEG, a0 * DEG)]];
+  }
+
+  // D-shaped bowl from a stem whose right edge is x0, spanning y0–y1 and
+  // reaching x1; it starts inside the stem so the two merge
+  function bowl(x0, y0, y1, x1) {
+    const ry = (y1 - y0) / 2, rx = Math.min(ry, x1 - x0), cy = y0 + ry, xc = x1 - rx, left = x0 - W / 2;
+    const outer = [[left, y0], ...ellipse(xc, cy, rx, ry, -90 * DEG, 90 * DEG), [left, y1]];
+    const inner = [[left, y0 + W], ...ellipse(xc, cy, rx - W, ry - W, -90 * DEG, 90 * DEG), [left, y1 - W]];
+    return [outer, inner.reverse()];
+  }
+
+  // Marks above a glyph of width w
+  function dots(w) {
+    return [...box(w / 2 - 240, 1090, w / 2 - 90, 1240), ...box(w / 2 + 90, 1090, w / 2 + 240, 1240)];
+  }
+
+  function ringAbove(w) {
+    return ring(w / 2, 1215, 125, 125, 70);
+  }
+
+  // ============================================================
+  // GLYPHS
+  // ============================================================
+
+  const STEM = box(0, 0, W, EM);
+
+  const GLYPHS = {
+    A: [slant(80, 0, 360, 1000), slant(640, 0, 360, 1000), box(190, 250, 530, 390)],
+    B: [STEM, bowl(W, 425, 1000, 580), bowl(W, 0, 575, 620)],
+    C: [arc(340, 500, 340, 500, 45, 315)],
+    D: [STEM, bowl(W, 0, 1000, 680)],
+    E: [STEM, box(0, 850, 560, 1000), box(0, 425, 500, 575), box(0, 0, 560, 150)],
+    F: [STEM, box(0, 850, 540, 1000), box(0, 400, 480, 550)],
+    G: [arc(350, 500, 350, 500, 35, 360), box(360, 420, 700, 560)],
+    H: [STEM, box(490, 0, 640, 1000), box(0, 425, 640, 575)],
+    I: [STEM],
+    J: [box(410, 330, 560, 1000), arc(280, 330, 280, 330, 180, 360)],
+    K: [STEM, slant(150, 300, 560, 1000), slant(570, 0, 330, 600)],
+    L: [STEM, box(0, 0, 540, 150)],
+    M: [STEM, box(650, 0, 800, 1000), slant(400, 250, 85, 1000), slant(400, 250, 715, 1000)],
+    N: [STEM, box(530, 0, 680, 1000), slant(595, 0, 85, 1000)],
+    O: [ring(380, 500, 380, 500)],
+    P: [STEM, bowl(W, 400, 1000, 620)],
+    Q: [ring(380, 500, 380, 500), slant(740, 0, 530, 280)],
+    R: [STEM, bowl(W, 400, 1000, 620), slant(570, 0, 300, 480)],
+    S: [arc(310, 712.5, 310, 287.5, 15, 270), arc(310, 287.5, 310, 287.5, 195, 450)],
+    T: [box(0, 850, 640, 1000), box(245, 0, 395, 1000)],
+    U: [box(0, 330, 150, 1000), box(490, 330, 640, 1000), arc(320, 330, 320, 330, 180, 360)],
+    V: [slant(350, 0, 85, 1000), slant(350, 0, 615, 1000)],
+    W: [slant(250, 0, 70, 1000), slant(250, 0, 490, 1000), slant(730, 0, 490, 1000), slant(730, 0, 910, 1000)],
+    X: [slant(85, 0, 595, 1000), slant(595, 0, 85, 1000)],
+    Y: [slant(340, 450, 85, 1000), slant(340, 450, 595, 1000), box(260, 0, 420, 470)],
+    Z: [box(0, 850, 600, 1000), box(0, 0, 600, 150), slant(90, 100, 510, 900)],
+  };
+  GLYPHS['Ä'] = [...GLYPHS.A, dots(720)];
+  GLYPHS['Å'] = [...GLYPHS.A, ringAbove(720)];
+  GLYPHS['Ö'] = [...GLYPHS.O, dots(760)];
+  GLYPHS['Ü'] = [...GLYPHS.U, dots(640)];
+
+  // ============================================================
+  // OUTLINES
+  // Overlapping contours are merged by splitting every edge where it meets
+  // another and keeping the pieces with ink on one side only (non-zero
+  // winding). The same pass subtracts the bridges, drawn clockwise.
+  // ============================================================
+
+  const EPS = 1e-9;
+
+  function cross(ax, ay, bx, by) {
+    return ax * by - ay * bx;
+  }
+
+  function winding(contours, x, y) {
+    let w = 0;
+    for (const c of contours) {
+      for (let i = 0; i < c.length; i++) {
+        const [x0, y0] = c[i], [x1, y1] = c[(i + 1) % c.length];
+        if (y0 <= y) {
+          if (y1 > y && cross(x1 - x0, y1 - y0, x - x0, y - y0) > 0) w++;
+        } else if (y1 <= y && cross(x1 - x0, y1 - y0, x - x0, y - y0) < 0) {
+          w--;
+        }
+      }
+    }
+    return w;
+  }
+
+  // Where edge a (p→p2) meets edge b (q→q2): split points for both, as
+  // [t, point] along each
+  function intersect(a, b, splitsA, splitsB) {
+    const [p, p2] = a, [q, q2] = b;
+    const rx = p2[0] - p[0], ry = p2[1] - p[1], sx = q2[0] - q[0], sy = q2[1] - q[1];
+    const denom = cross(rx, ry, sx, sy);
+    const qpx = q[0] - p[0], qpy = q[1] - p[1];
+    const lenR = Math.hypot(rx, ry), lenS = Math.hypot(sx, sy);
+    if (Math.abs(denom) < EPS * lenR * lenS) {
+      // Parallel: only collinear overlaps split
+      if (Math.abs(cross(qpx, qpy, rx, ry)) > 1e-6 * lenR) return;
+      for (const pt of [q, q2]) {
+        const t = ((pt[0] - p[0]) * rx + (pt[1] - p[1]) * ry) / (lenR * lenR);
+        if (t > 1e-9 && t < 1 - 1e-9) splitsA.push([t, pt]);
+      }
+      for (const pt of [p, p2]) {
+        const u = ((pt[0] - q[0]) * sx + (pt[1] - q[1]) * sy) / (lenS * lenS);
+        if (u > 1e-9 && u < 1 - 1e-9) splitsB.push([u, pt]);
+      }
+      return;
+    }
+    const t = cross(qpx, qpy, sx, sy) / denom;
+    const u = cross(qpx, qpy, rx, ry) / denom;
+    const tol = 1e-9;
+    if (t < -tol || t > 1 + tol || u < -tol || u > 1 + tol) return;
+    const tInside = t > tol && t < 1 - tol, uInside = u > tol && u < 1 - tol;
+    let pt;
+    if (!tInside) pt = t < 0.5 ? p : p2;
+    else if (!uInside) pt = u < 0.5 ? q : q2;
+    else pt = [p[0] + t * rx, p[1] + t * ry];
+    if (tInside) splitsA.push([t, pt]);
+    if (uInside) splitsB.push([u, pt]);
+  }
+
+  const key = ([x, y]) => `${x.toFixed(4)},${y.toFixed(4)}`;
+
+  // Closed outlines of everything inside the contours (non-zero winding),
+  // ink on the left of every outline
+  function merge(contours) {
+    const edges = [];
+    for (const c of contours) {
+      for (let i = 0; i < c.length; i++) {
+        const a = c[i], b = c[(i + 1) % c.length];
+        if (Math.hypot(b[0] - a[0], b[1] - a[1]) > 1e-6) edges.push([a, b]);
+      }
+    }
+    const splits = edges.map(() => []);
+    const boxes = edges.map(([a, b]) => [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[0], b[0]), Math.max(a[1], b[1])]);
+    for (let i = 0; i < edges.length; i++) {
+      for (let j = i + 1; j < edges.length; j++) {
+        const bi = boxes[i], bj = boxes[j];
+        if (bi[0] > bj[2] + 1e-6 || bj[0] > bi[2] + 1e-6 || bi[1] > bj[3] + 1e-6 || bj[1] > bi[3] + 1e-6) continue;
+        intersect(edges[i], edges[j], splits[i], splits[j]);
+      }
+    }
+
+    // Split, keep the pieces on the boundary of the ink, drop duplicates
+    const kept = new Map();
+    edges.forEach(([a, b], i) => {
+      const points = [a, ...splits[i].sort((s, t) => s[0] - t[0]).map(s => s[1]), b];
+      for (let n = 0; n < points.length - 1; n++) {
+        const p = points[n], q = points[n + 1];
+        const len = Math.hypot(q[0] - p[0], q[1] - p[1]);
+        if (len < 1e-6) continue;
+        const mx = (p[0] + q[0]) / 2, my = (p[1] + q[1]) / 2;
+        const nx = -(q[1] - p[1]) / len * 1e-4, ny = (q[0] - p[0]) / len * 1e-4;
+        const left = winding(contours, mx + nx, my + ny) > 0;
+        const right = winding(contours, mx - nx, my - ny) > 0;
+        if (left === right) continue;
+        const edge = left ? [p, q] : [q, p];
+        kept.set(`${key(edge[0])}>${key(edge[1])}`, edge);
+      }
+    });
+
+    // Chain the pieces into closed outlines
+    const outgoing = new Map();
+    for (const edge of kept.values()) {
+      const k = key(edge[0]);
+      if (!outgoing.has(k)) outgoing.set(k, []);
+      outgoing.get(k).push(edge);
+    }
+    const loops = [];
+    for (const start of kept.values()) {
+      if (start.used) continue;
+      const loop = [];
+      let edge = start;
+      while (edge && !edge.used) {
+        edge.used = true;
+        loop.push(edge[0]);
+        edge = (outgoing.get(key(edge[1])) || []).find(e => !e.used);
+      }
+      if (loop.length >= 3) loops.push(simplify(loop));
+    }
+    return loops.filter(l => l.length >= 3);
+  }
+
+  // Drop points on a straight line between their neighbours
+  function simplify(loop) {
+    return loop.filter((p, i) => {
+      const a = loop[(i + loop.length - 1) % loop.length], b = loop[(i + 1) % loop.length];
+      return Math.abs(cross(p[0] - a[0], p[1] - a[1], b[0] - p[0], b[1] - p[1])) > 1e-6 * Math.hypot(b[0] - a[0], b[1] - a[1]);
+    });
+  }
+
+  function area(loop) {
+    let sum = 0;
+    loop.forEach(([x0, y0], i) => {
+      const [x1, y1] = loop[(i + 1) % loop.length];
+      sum += x0 * y1 - x1 * y0;
+    });
+    return sum / 2;
+  }
+
+  function bounds(loops) {
+    const xs = loops.flat().map(p => p[0]), ys = loops.flat().map(p => p[1]);
+    return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+  }
+
+  // ============================================================
+  // BRIDGES
+  // ============================================================
+
+  // Ink along the vertical line at x: sorted [bottom, top] runs
+  function inkRuns(loops, x) {
+    const ys = [];
+    for (const loop of loops) {
+      loop.forEach(([x0, y0], i) => {
+        const [x1, y1] = loop[(i + 1) % loop.length];
+        if ((x0 <= x) !== (x1 <= x)) ys.push(y0 + (y1 - y0) * (x - x0) / (x1 - x0));
+      });
+    }
+    ys.sort((a, b) => a - b);
+    const runs = [];
+    for (let i = 0; i + 1 < ys.length; i += 2) runs.push([ys[i], ys[i + 1]]);
+    return runs;
+  }
+
+  // A bridge of the given width (font units) through the ink above and below
+  // each counter, at the counter's centre. Each reaches just past the stroke
+  // it cuts, never into the next one.
+  function bridges(loops, width) {
+    const rects = [];
+    for (const hole of loops.filter(l => area(l) < 0)) {
+      const b = bounds([hole]);
+      const cx = (b.x0 + b.x1) / 2, cy = (b.y0 + b.y1) / 2;
+      const runs = inkRuns(loops, cx);
+      const above = runs.findIndex(([y0]) => y0 >= cy);
+      if (above < 1) continue;
+      const up = runs[above], down = runs[above - 1];
+      const gapUp = above + 1 < runs.length ? runs[above + 1][0] - up[1] : Infinity;
+      const gapDown = above > 1 ? down[0] - runs[above - 2][1] : Infinity;
+      const top = up[1] + Math.min(20, gapUp / 2);
+      const bottom = down[0] - Math.min(20, gapDown / 2);
+      const x0 = cx - width / 2, x1 = cx + width / 2;
+      // Clockwise, so they subtract
+      rects.push([[x0, cy], [x0, top], [x1, top], [x1, cy]]);
+      rects.push([[x0, bottom], [x0, cy], [x1, cy], [x1, bottom]]);
+    }
+    return rects;
+  }
+
+  // Move every edge d to its left (into the ink), corners mitred
+  function offset(loop, d) {
+    const n = loop.length;
+    const normals = loop.map((p, i) => {
+      const q = loop[(i + 1) % n];
+      const len = Math.hypot(q[0] - p[0], q[1] - p[1]);
+      return [-(q[1] - p[1]) / len, (q[0] - p[0]) / len];
+    });
+    return loop.map((p, i) => {
+      const n0 = normals[(i + n - 1) % n], n1 = normals[i];
+      const scale = d / Math.max(0.25, 1 + n0[0] * n1[0] + n0[1] * n1[1]);
+      return [p[0] + (n0[0] + n1[0]) * scale, p[1] + (n0[1] + n1[1]) * scale];
+    });
+  }
+
+  function hasGlyph(letter) {
+    return letter in GLYPHS;
+  }
+
+  const cache = new Map();
+
+  // Cut outlines of one letter: { loops, width, height } in mm with y down,
+  // centred on 0,0. height is the cap height in mm; bridgeWidth the material
+  // left across each counter; kerf offsets the outlines by half, into the
+  // letter, so openings and bridges come out at their drawn size.
+  function glyphOutline(letter, { height, bridgeWidth, kerf = 0 }) {
+    if (!hasGlyph(letter))
+      throw new Error(`No stencil outline for "${letter}" (available: ${Object.keys(GLYPHS).join('')})`);
+    const id = [letter, height, bridgeWidth, kerf].join('|');
+    if (cache.has(id)) return cache.get(id);
+
+    const scale = height / EM;
+    const ink = merge(GLYPHS[letter].flat());
+    let loops = merge([...ink, ...bridges(ink, bridgeWidth / scale)]);
+    if (loops.some(l => area(l) < 0)) throw new Error(`Stencil "${letter}": a counter has no bridge`);
+    if (kerf > 0) loops = loops.map(l => offset(l, kerf / 2 / scale));
+
+    const b = bounds(loops);
+    const cx = (b.x0 + b.x1) / 2, cy = (b.y0 + b.y1) / 2;
+    const round = v => Math.round(v * 1000) / 1000 || 0;
+    const result = {
+      loops: loops.map(l => l.map(([x, y]) => [round((x - cx) * scale), round((cy - y) * scale)])),
+      width: (b.x1 - b.x0) * scale,
+      height: (b.y1 - b.y0) * scale,
+    };
+    cache.set(id, result);
+    return result;
+  }
+
+  return {
+    LETTER_HEIGHT, STROKE,
+    hasGlyph, glyphOutline,
+  };
+});
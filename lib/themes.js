@@ -0,0 +1,142 @@
+// themes.js — User-made colour themes
+// A custom theme is a handful of colours (lit and unlit letters, background,
+// corner dots, glow strength, optionally one colour per word role) from which
+// the simulator derives every CSS variable a built-in [data-theme] block sets.
+// Exported themes also carry the LED values (gamma-corrected 8-bit RGB) the
+// WS2812B needs to show the same colours. Loaded by index.html via
+// <script src> (window.WordClockThemes).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./phrasing'));
+  else root.WordClockThemes = factory(root.WordClockPhrasing);
+})(typeof self !== 'undefined' ? self : this, function (phrasing) {
+
+  const FORMAT = 'wordclock-theme';
+  const WORD_ROLES = ['prefix', 'minute', 'hour'];
+  const COLOR_FIELDS = ['on', 'off', 'background', 'dots'];
+  const LED_GAMMA = 2.2;  // screen colours are gamma-encoded, LED PWM is linear
+  const DEFAULT_GLOW = 50;
+
+  // '#ffd78a' → [255, 215, 138]
+  function rgb(hex) {
+    const m = /^#([0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!m) throw new Error(`Colour must be #rrggbb, got "${hex}"`);
+    const n = parseInt(m[1], 16);
+    return [n >> 16, (n >> 8) & 0xff, n & 0xff];
+  }
+
+  const hex = c => '#' + c.map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+  const mix = (a, b, t) => hex(rgb(a).map((v, i) => v + (rgb(b)[i] - v) * t));
+  const rgba = (color, alpha) => `rgba(${rgb(color).join(',')},${+Math.min(1, alpha).toFixed(2)})`;
+
+  // 'Min Natt' → 'min-natt'; the key schedules and localStorage use
+  function themeKey(name) {
+    const key = String(name).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (!key) throw new Error(`Theme name "${name}" has no letters or digits`);
+    return key;
+  }
+
+  // Checks a theme and fills in defaults: { name, key, on, off, background,
+  // dots, glow, words } with words null or { prefix, minute, hour }
+  function normalizeTheme(theme) {
+    if (!theme || typeof theme !== 'object') throw new Error('Theme must be an object');
+    const out = { name: String(theme.name || '').trim() };
+    out.key = themeKey(out.name);
+    COLOR_FIELDS.forEach(field => {
+      if (theme[field] === undefined) throw new Error(`Theme "${out.name}" has no "${field}" colour`);
+      rgb(theme[field]);
+      out[field] = theme[field].toLowerCase();
+    });
+    out.glow = theme.glow === undefined ? DEFAULT_GLOW : Number(theme.glow);
+    if (!(out.glow >= 0 && out.glow <= 100)) throw new Error(`Glow must be 0–100 %, got ${theme.glow}`);
+    out.words = null;
+    if (theme.words) {
+      out.words = {};
+      WORD_ROLES.forEach(role => {
+        const color = theme.words[role] || out.on;
+        rgb(color);
+        out.words[role] = color.toLowerCase();
+      });
+    }
+    return out;
+  }
+
+  // ============================================================
+  // CSS
+  // ============================================================
+
+  // Glow layers for a lit colour, as the built-in themes set them
+  function glowVars(color, glow) {
+    const s = glow / DEFAULT_GLOW;
+    return {
+      'glow1': rgba(color, s),
+      'glow2': rgba(color, 0.5 * s),
+      'glow3': rgba(color, 0.2 * s),
+    };
+  }
+
+  // Every theme variable index.html uses, derived from the few the user sets;
+  // manual-toggle colours stay as they are
+  function cssVars(theme) {
+    const { on, off, background: bg, dots, glow } = theme;
+    return {
+      'bg': bg,
+      'frame-hi': mix(bg, off, 0.75),
+      'frame-lo': mix(bg, off, 0.15),
+      'border': mix(off, on, 0.05),
+      'cell-off': off,
+      'cell-on': on,
+      ...glowVars(on, glow),
+      'dot-on': dots,
+      'dot-glow': rgba(dots, 0.4 * glow / DEFAULT_GLOW),
+      'ui-dim': mix(on, bg, 0.65),
+      'ui-mid': mix(on, bg, 0.45),
+      'ui-accent': on,
+      'ui-accent2': mix(on, bg, 0.2),
+      'hover-bg': rgba(on, 0.05),
+      'modal-bg': rgba(mix(bg, '#000000', 0.6), 0.88),
+    };
+  }
+
+  // Lit colour per cell for a time when the theme colours words by role:
+  // { index: colour }, empty without word colours
+  function cellColors(theme, pack, hour, minute) {
+    const colors = {};
+    if (!theme.words) return colors;
+    phrasing.getWordRoles(pack, hour, minute).forEach(({ word, role }) =>
+      pack.words[word].forEach(i => { colors[i] = theme.words[role]; }));
+    return colors;
+  }
+
+  // ============================================================
+  // LED & EXPORT
+  // ============================================================
+
+  // Screen colour → the 8-bit RGB a WS2812B needs to look the same
+  function ledColor(color) {
+    return rgb(color).map(v => Math.round(255 * Math.pow(v / 255, LED_GAMMA)));
+  }
+
+  function toJSON(theme) {
+    const { key, ...css } = theme;
+    const led = { on: ledColor(theme.on), dots: ledColor(theme.dots) };
+    if (theme.words) WORD_ROLES.forEach(role => { led[role] = ledColor(theme.words[role]); });
+    return JSON.stringify({ format: FORMAT, version: 1, ...css, led, ledGamma: LED_GAMMA }, null, 2) + '\n';
+  }
+
+  // Reads an exported theme back; the LED values are derived, so they are
+  // recomputed rather than trusted
+  function fromJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Not a theme file: ${err.message}`);
+    }
+    if (!data || data.format !== FORMAT) throw new Error(`Not a theme file (expected "format": "${FORMAT}")`);
+    return normalizeTheme(data);
+  }
+
+  return { WORD_ROLES, DEFAULT_GLOW, LED_GAMMA, themeKey, normalizeTheme, glowVars, cssVars, cellColors, ledColor, toJSON, fromJSON };
+});
@@ -0,0 +1,134 @@
+// time-source.js — Clock sources, time zones and DST transitions
+// What time the simulator shows: the system clock, or a simulated clock
+// that can run faster and jump, read as wall-clock time in any IANA time
+// zone. Finds the zone's daylight-saving transitions so the face can be
+// watched while 02:59 becomes 02:00 or 03:00. Uses Intl only, no zone data
+// of its own. Loaded by index.html via <script src> (window.WordClockTimeSource).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WordClockTimeSource = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const MINUTE = 60e3;
+  const DAY = 864e5;
+  const RATES = [1, 60, 600];
+  const FALLBACK_ZONES = ['UTC', 'Europe/Stockholm', 'Europe/Oslo', 'Europe/Copenhagen', 'Europe/Berlin',
+    'Europe/London', 'America/New_York', 'Australia/Sydney'];
+
+  const formatters = {};
+
+  function formatter(zone) {
+    if (!formatters[zone]) {
+      try {
+        formatters[zone] = new Intl.DateTimeFormat('en-US', {
+          timeZone: zone, hourCycle: 'h23',
+          year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+        });
+      } catch (err) {
+        throw new Error(`Unknown time zone "${zone}"`);
+      }
+    }
+    return formatters[zone];
+  }
+
+  // The browser's (or Node's) own zone
+  function localZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  // Every zone Intl knows, or a short list on older engines
+  function zones() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : FALLBACK_ZONES;
+  }
+
+  // Wall-clock time of an instant in a zone: { year, month, day, hour,
+  // minute, second, offset } with the UTC offset in minutes (+120 for CEST)
+  function wallClock(zone, time) {
+    const parts = {};
+    formatter(zone).formatToParts(new Date(time)).forEach(p => { parts[p.type] = Number(p.value); });
+    const { year, month, day, hour, minute, second } = parts;
+    const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+    return { year, month, day, hour, minute, second, offset: Math.round((asUTC - Math.floor(time / 1000) * 1000) / MINUTE) };
+  }
+
+  function zoneOffset(zone, time) {
+    return wallClock(zone, time).offset;
+  }
+
+  // 120 → 'UTC+02:00'
+  function formatOffset(offset) {
+    const abs = Math.abs(offset);
+    return `UTC${offset < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  // ============================================================
+  // DST TRANSITIONS
+  // ============================================================
+
+  // Offset changes between two instants, to the minute: [{ at, from, to }]
+  // where `at` is the first instant (ms) on the new offset
+  function transitions(zone, start, end) {
+    const found = [];
+    let t = Math.floor(start / MINUTE) * MINUTE;
+    let offset = zoneOffset(zone, t);
+    while (t < end) {
+      const next = Math.min(t + DAY, end);
+      const nextOffset = zoneOffset(zone, next);
+      if (nextOffset !== offset) {
+        let lo = t, hi = next; // offset(lo) is the old one, offset(hi) the new one
+        while (hi - lo > MINUTE) {
+          const mid = lo + Math.floor((hi - lo) / 2 / MINUTE) * MINUTE;
+          if (zoneOffset(zone, mid) === offset) lo = mid; else hi = mid;
+        }
+        found.push({ at: hi, from: offset, to: nextOffset });
+      }
+      t = next;
+      offset = nextOffset;
+    }
+    return found;
+  }
+
+  // The first transition after `time`, or the last one before it; null when
+  // the zone has none within a year
+  function nextTransition(zone, time) {
+    return transitions(zone, time, time + 400 * DAY)[0] || null;
+  }
+
+  function previousTransition(zone, time) {
+    return transitions(zone, time - 400 * DAY, time).pop() || null;
+  }
+
+  // ============================================================
+  // CLOCK SOURCES
+  // ============================================================
+  // A source has now() → epoch ms and the rate it runs at.
+
+  function systemClock() {
+    return { name: 'system', rate: 1, now: () => Date.now() };
+  }
+
+  // Starts at `start` and runs `rate` times faster than real time. set() and
+  // setRate() re-anchor it, so neither jumps the other. realNow is for tests.
+  function simulatedClock(start, rate = 1, realNow = () => Date.now()) {
+    let anchor = start;
+    let since = realNow();
+    const clock = {
+      name: 'simulated',
+      rate,
+      now: () => anchor + (realNow() - since) * clock.rate,
+      set(time) { anchor = time; since = realNow(); },
+      setRate(newRate) {
+        if (!(newRate > 0)) throw new Error(`Clock rate must be positive, got ${newRate}`);
+        clock.set(clock.now());
+        clock.rate = newRate;
+      },
+    };
+    return clock;
+  }
+
+  return {
+    RATES, localZone, zones, wallClock, zoneOffset, formatOffset,
+    transitions, nextTransition, previousTransition, systemClock, simulatedClock,
+  };
+});
@@ -0,0 +1,90 @@
+// transitions.js — Animations between two minute states
+// Given the lit cells before and after a change (getActiveIndices), gives
+// the level of every cell at any point of a transition: crossfade,
+// typewriter in reading order, falling matrix rain or a wipe per row. The
+// simulator plays them; frames() and toJSON() give the same frames to
+// firmware. Loaded by index.html via <script src> (window.WordClockTransitions).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.WordClockTransitions = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const EFFECTS = ['crossfade', 'typewriter', 'matrix', 'wipe'];
+  const RAIN_TAIL = 3;        // rows of fading trail behind a matrix drop
+  const RAIN_SPREAD = 0.35;   // share of the duration the drops start over
+  const WIPE_STAGGER = 0.5;   // share of the duration between top and bottom row starts
+
+  const clamp01 = x => Math.min(1, Math.max(0, x));
+
+  // Fixed pseudo-random start per column, so every run rains the same way
+  function rainDelay(col) {
+    return ((col * 2654435761) % 1000) / 1000 * RAIN_SPREAD;
+  }
+
+  // Level 0–1 of every cell at t (0 = before, 1 = after).
+  //   from, to — lit cell indices (array or Set)
+  //   grid     — { cols, rows }
+  function frame(effect, from, to, t, { cols, rows }) {
+    if (!EFFECTS.includes(effect)) throw new Error(`Unknown transition "${effect}" (use ${EFFECTS.join(', ')})`);
+    const was = new Set(from);
+    const will = new Set(to);
+    const levels = [];
+    for (let i = 0; i < cols * rows; i++) levels.push(was.has(i) ? 1 : 0);
+    const set = (i, mix) => { levels[i] = (was.has(i) ? 1 : 0) * (1 - mix) + (will.has(i) ? 1 : 0) * mix; };
+
+    if (effect === 'crossfade') {
+      levels.forEach((_, i) => set(i, clamp01(t)));
+    } else if (effect === 'typewriter') {
+      // Old letters are deleted from the end, then new ones typed from the start
+      const gone = [...was].filter(i => !will.has(i)).sort((a, b) => b - a);
+      const typed = [...will].filter(i => !was.has(i)).sort((a, b) => a - b);
+      const keys = [...gone, ...typed];
+      const done = Math.floor(clamp01(t) * keys.length + 1e-9);
+      keys.forEach((i, k) => set(i, k < done ? 1 : 0));
+    } else if (effect === 'matrix') {
+      for (let c = 0; c < cols; c++) {
+        const head = clamp01((t - rainDelay(c)) / (1 - RAIN_SPREAD)) * (rows + RAIN_TAIL);
+        for (let r = 0; r < rows; r++) {
+          const i = r * cols + c;
+          const behind = head - r; // rows since the drop passed this cell
+          if (behind <= 0) continue;
+          set(i, 1);
+          if (behind < RAIN_TAIL) levels[i] = Math.max(levels[i], 1 - behind / RAIN_TAIL);
+        }
+      }
+    } else if (effect === 'wipe') {
+      const stagger = rows > 1 ? WIPE_STAGGER / (rows - 1) : 0;
+      const span = rows > 1 ? 1 - WIPE_STAGGER : 1; // each row's own sweep
+      for (let r = 0; r < rows; r++) {
+        const edge = clamp01((t - r * stagger) / span) * cols;
+        for (let c = 0; c < cols; c++) set(r * cols + c, c < edge ? 1 : 0);
+      }
+    }
+    return levels;
+  }
+
+  // The whole transition at `fps`, first frame the old state and last the new
+  //   options.duration — ms
+  //   options.fps      — frames per second (default 25)
+  function frames(effect, from, to, { cols, rows, duration, fps = 25 }) {
+    if (!(duration > 0)) throw new Error(`Transition duration must be positive, got ${duration}`);
+    const count = Math.max(2, Math.round(duration / 1000 * fps) + 1);
+    return Array.from({ length: count }, (_, n) => frame(effect, from, to, n / (count - 1), { cols, rows }));
+  }
+
+  // Frame sequence for firmware: one array of 0–255 cell levels per frame,
+  // cells in reading order (index = row * cols + col). The firmware maps
+  // cells to LEDs with the chain from LEDNING and scales by its colour.
+  function toJSON(effect, from, to, { cols, rows, duration, fps = 25, fromTime, toTime }) {
+    const sequence = frames(effect, from, to, { cols, rows, duration, fps });
+    return JSON.stringify({
+      effect, duration, fps, cols, rows, fromTime, toTime,
+      from: [...from].sort((a, b) => a - b), to: [...to].sort((a, b) => a - b),
+      frameCount: sequence.length,
+      frames: sequence.map(levels => levels.map(v => Math.round(v * 255))),
+    }) + '\n';
+  }
+
+  return { EFFECTS, frame, frames, toJSON };
+});
@@ -0,0 +1,149 @@
+// wiring.js — LED chain mapping for the physical clock
+// Maps grid cells and the four corner dots to positions on the WS2812B chain,
+// and measures the wire between them for a panel size. The grid is wired in
+// one of three orders starting in a chosen corner; the corner dots sit as a
+// block of four at the start, at the end, or after a given number of grid
+// LEDs. Loaded by index.html via <script src> (window.WordClockWiring) and by
+// firmware/generate-firmware.js.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./layout'));
+  else root.WordClockWiring = factory(root.WordClockLayout);
+})(typeof self !== 'undefined' ? self : this, function (layout) {
+
+  const START_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+  // snake   — rows, every other row runs back (one strip folded at the edges)
+  // zigzag  — rows, all in the same direction (a return wire after each row)
+  // columns — columns, every other column runs back
+  const ORDERS = ['snake', 'zigzag', 'columns'];
+
+  // Corner dots in simulator order: top-left, top-right, bottom-right, bottom-left
+  const DOT_COUNT = 4;
+
+  // Cell indices (row-major) in the order the chain visits them
+  function chainOrder(cols, rows, start = 'top-left', order = 'snake') {
+    if (!START_CORNERS.includes(start)) throw new Error(`Unknown start corner "${start}" (use ${START_CORNERS.join(', ')})`);
+    if (!ORDERS.includes(order)) throw new Error(`Unknown chain order "${order}" (use ${ORDERS.join(', ')})`);
+    const fromBottom = start.startsWith('bottom');
+    const fromRight = start.endsWith('right');
+    const byColumn = order === 'columns';
+    const lines = byColumn ? cols : rows;  // runs of the strip
+    const length = byColumn ? rows : cols; // LEDs per run
+    const cells = [];
+    for (let n = 0; n < lines; n++) {
+      const back = order !== 'zigzag' && n % 2 === 1; // every other run runs back
+      for (let k = 0; k < length; k++) {
+        const along = back ? length - 1 - k : k;
+        const row = byColumn ? (fromBottom ? rows - 1 - along : along) : (fromBottom ? rows - 1 - n : n);
+        const col = byColumn ? (fromRight ? cols - 1 - n : n) : (fromRight ? cols - 1 - along : along);
+        cells.push(row * cols + col);
+      }
+    }
+    return cells;
+  }
+
+  // Full chain for a grid.
+  //   options.order — 'snake' (default), 'zigzag' or 'columns'
+  //   options.start — corner the data line enters (default 'top-left')
+  //   options.dots  — 'start', 'end' (default) or number of grid LEDs before the dots
+  // Returns { cols, rows, order, start, dotsAt, ledCount, cellToLed, dotToLed, chain }
+  // where chain lists { type: 'cell' | 'dot', index } for each LED in order.
+  function ledMap(cols, rows, options = {}) {
+    const order = options.order || 'snake';
+    const start = options.start || 'top-left';
+    const gridLeds = cols * rows;
+    let dotsAt = options.dots === undefined ? 'end' : options.dots;
+    if (dotsAt === 'start') dotsAt = 0;
+    else if (dotsAt === 'end') dotsAt = gridLeds;
+    else dotsAt = Number(dotsAt);
+    if (!Number.isInteger(dotsAt) || dotsAt < 0 || dotsAt > gridLeds)
+      throw new Error(`Corner dot position must be start, end or 0–${gridLeds}`);
+
+    const cells = chainOrder(cols, rows, start, order).map(index => ({ type: 'cell', index }));
+    const dots = Array.from({ length: DOT_COUNT }, (_, index) => ({ type: 'dot', index }));
+    const chain = [...cells.slice(0, dotsAt), ...dots, ...cells.slice(dotsAt)];
+
+    const cellToLed = new Array(gridLeds);
+    const dotToLed = new Array(DOT_COUNT);
+    chain.forEach((led, i) => { (led.type === 'cell' ? cellToLed : dotToLed)[led.index] = i; });
+
+    return { cols, rows, order, start, dotsAt, ledCount: chain.length, cellToLed, dotToLed, chain };
+  }
+
+  // ============================================================
+  // WIRE LENGTH
+  // ============================================================
+
+  // LED centre in mm from the top-left corner of the front panel. Corner dots
+  // sit in the middle of the frame border, as cut by laser/generate-laser-files.js.
+  function ledPosition(map, led, sizeKey) {
+    const { pitch } = layout.SIZES[sizeKey];
+    const { type, index } = map.chain[led];
+    if (type === 'cell') {
+      return {
+        x: layout.FRAME_BORDER + (index % map.cols + 0.5) * pitch,
+        y: layout.FRAME_BORDER + (Math.floor(index / map.cols) + 0.5) * pitch,
+      };
+    }
+    const inset = layout.FRAME_BORDER / 2;
+    const right = map.cols * pitch + 2 * layout.FRAME_BORDER - inset;
+    const bottom = map.rows * pitch + 2 * layout.FRAME_BORDER - inset;
+    return [
+      { x: inset, y: inset }, { x: right, y: inset },
+      { x: right, y: bottom }, { x: inset, y: bottom },
+    ][index];
+  }
+
+  // Straight-line wire from LED 0 to each LED (mm); cumulative[0] is 0 and
+  // the last entry is the total length of strip plus jumpers to buy.
+  function wireLengths(map, sizeKey) {
+    if (!layout.SIZES[sizeKey]) throw new Error(`Unknown size "${sizeKey}" (use ${Object.keys(layout.SIZES).join(', ')})`);
+    const cumulative = [0];
+    let prev = ledPosition(map, 0, sizeKey);
+    for (let led = 1; led < map.ledCount; led++) {
+      const pos = ledPosition(map, led, sizeKey);
+      cumulative.push(cumulative[led - 1] + Math.hypot(pos.x - prev.x, pos.y - prev.y));
+      prev = pos;
+    }
+    return cumulative;
+  }
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  // One row per LED: { led, type, index, row, col, letter, x, y, wire } (mm,
+  // one decimal). Corner dots have row/col/letter null.
+  function mappingTable(map, sizeKey, letters = []) {
+    const wire = wireLengths(map, sizeKey);
+    return map.chain.map(({ type, index }, led) => {
+      const { x, y } = ledPosition(map, led, sizeKey);
+      const cell = type === 'cell';
+      return {
+        led, type, index,
+        row: cell ? Math.floor(index / map.cols) : null,
+        col: cell ? index % map.cols : null,
+        letter: cell && letters[index] !== undefined ? letters[index] : null,
+        x: +x.toFixed(1), y: +y.toFixed(1), wire: +wire[led].toFixed(1),
+      };
+    });
+  }
+
+  function toJSON(map, sizeKey, letters) {
+    const leds = mappingTable(map, sizeKey, letters);
+    return JSON.stringify({
+      cols: map.cols, rows: map.rows, order: map.order, start: map.start, dotsAt: map.dotsAt,
+      size: sizeKey, pitch: layout.SIZES[sizeKey].pitch,
+      ledCount: map.ledCount, wireLength: leds[leds.length - 1].wire, leds,
+    }, null, 2) + '\n';
+  }
+
+  function toCSV(map, sizeKey, letters) {
+    const columns = ['led', 'type', 'index', 'row', 'col', 'letter', 'x', 'y', 'wire'];
+    const lines = mappingTable(map, sizeKey, letters).map(r => columns.map(c => r[c] === null ? '' : r[c]).join(','));
+    return ['led,type,index,row,col,letter,x_mm,y_mm,wire_mm', ...lines].join('\n') + '\n';
+  }
+
+  return { START_CORNERS, ORDERS, DOT_COUNT, chainOrder, ledMap, ledPosition, wireLengths, mappingTable, toJSON, toCSV };
+});
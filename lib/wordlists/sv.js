@@ -0,0 +1,46 @@
+// sv.js — Swedish word list for message mode
+// About 470 common Swedish words: greetings, days and months, numbers,
+// food, weather and everyday verbs. lib/messages.js checks which of them a
+// grid layout can spell in reading order, to help pick filler letters.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.WordClockWordLists = root.WordClockWordLists || {}).sv = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  return `
+    ADJÖ AFTON ALDRIG ALLA ALLT ANDRA ANKA ANNAN ANNARS ANSIKTE APA APRIL ARBETE
+    ARG ARM ARV ASK ATT AUGUSTI AVSKED BAD BADA BAK BAKA BAL BARA BARN BEN BERG
+    BESÖK BI BIL BILD BIO BJÖRN BLAD BLEV BLOD BLOMMA BLÅ BO BOK BOLL BORD BORTA
+    BRA BREV BRO BROR BRUN BRÖD BULLE BUSS BY BYGGA BÅT BÄR BÄST BÄTTRE BÖRJA
+    CYKEL DAG DAGAR DAGEN DAL DAM DANS DANSA DEL DEN DESSA DET DIG DIMMA DIT
+    DOCK DOFT DOTTER DRICKA DRÖM DU DUK DUM DYGN DÄR DÖ DÖRR EFTER EGEN EJ EK
+    EKA ELAK ELD ELVA EN ENDA ETT FAR FARMOR FART FAST FEBRUARI FEL FEM FEST
+    FIKA FIL FIN FISK FJÄLL FJÄRIL FLICKA FLYG FOT FREDAG FRI FRID FRISK FRU
+    FRUKOST FRÅGA FRÅN FUL FYRA FÅGEL FÄRG FÖDD FÖR FÖRE FÖRSENAD FÖRST FÖRSTÅ
+    GAMMAL GATA GE GLAD GLASS GLÖMMA GOD GODIS GOTT GRAN GRATTIS GRIS GRÅ GRÄS
+    GRÖN GRÖT GUD GUL GULD GÅ GÅRD GÅS GÄRNA GÖRA HADE HALV HAN HAND HAR HATT
+    HAV HEJ HEJDÅ HEL HELG HEM HEMMA HERR HIMMEL HIT HJÄLP HJÄLPA HJÄRTA HON
+    HOPP HOS HUND HUNGRIG HUR HUS HUVUD HÅR HÄR HÄST HÖG HÖRA HÖST IDAG IGEN
+    IKVÄLL IN INTE IS JA JAG JAKT JANUARI JORD JUL JULI JUNI JUST KAFFE KAKA
+    KALAS KALL KAM KAN KANEL KATT KLOCKA KLOCKAN KLOK KO KOM KOMMA KORT KORV
+    KRAM KUL KUNDE KUNG KUNNA KVART KVÄLL KVÄLLEN KÄR KÄRLEK KÖK LAG LAND LAX
+    LEK LEKA LERA LEVA LIGGA LITE LITEN LIV LIVET LJUS LUFT LUGN LYCKA LYCKLIG
+    LÅNG LÅNGSAM LÄNGE LÄSA LÖRDAG LÖV MAJ MAMMA MAN MARS MAT MED MEN MER
+    MIDSOMMAR MIG MIN MINUT MITT MJÖLK MODIG MOR MORFAR MORGON MORGONEN MOT MUNK
+    MUS MÅ MÅL MÅNAD MÅNDAG MÅNE MÅSTE MÖRK NATT NATTEN NEJ NER NI NIO NOG NOT
+    NU NY NYTT NYÅR NÄR NÄSA NÄSTA OCH OFTA OM ORM OSS OST PAKET PAPPA PARK
+    PASTA PENGAR PIL PIZZA PLATS POJKE PRATA PRIS PUSS PYNT PÅSK RAD RAST REGN
+    RESA RING RIS RO ROLIG ROS RUM RÄDD RÖD SAFT SAGA SAKNAR SALT SAND SE SEKUND
+    SEMESTER SEN SENT SER SEX SIG SIMMA SIN SITTA SJU SJUK SJUNGA SJÖ SKA SKO
+    SKOG SKOLA SKRATT SKULLE SKYNDA SKÖN SLUT SLUTA SMÅ SMÖR SNABB SNART SNÄLL
+    SNÖ SNÖGUBBE SOFFA SOL SOLEN SOM SOMMAR SON SOPPA SOVA SPEL SPELA SPRINGA
+    SPÅR STAD STARK STEN STILLA STJÄRNA STOL STOR STRAND STUND STÅ SVAR SVENSK
+    SYLT SYSTER SÅ SÄGA SÖDER SÖNDAG SÖT TACK TAG TAK TALA TAND TE TID TIDIG
+    TILL TIMME TIO TISDAG TOLV TOMTE TORSDAG TRE TRO TRÄD TRÖTT TUR TVÅ TYCKA
+    TYST TÅG TÅRTA TÄNKA ULL UNDER UPP UT UTE VAD VAL VAR VARM VAS VATTEN VECKA
+    VETA VI VILA VILL VIN VIND VINTER VIT VÅG VÅR VÄG VÄL VÄN VÄNNER VÄNTA VÄRLD
+    ÅNGA ÅR ÅRET ÅS ÅTTA ÄGG ÄLG ÄLSKA ÄLSKAR ÄLV ÄNGEL ÄPPLE ÄR ÄTA ÖGA ÖL ÖN
+    ÖRA ÖST ÖVER
+  `.trim().split(/\s+/);
+});
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// check-layout.js — Consistency check between the simulator, the generators and
+// the committed laser/3D files. Exits non-zero on any disagreement.
+// No dependencies required. Run: node tools/check-layout.js
+
+const fs = require('fs');
+const path = require('path');
+const layout = require('../lib/layout');
+const phrasing = require('../lib/phrasing');
+
+const ROOT = path.join(__dirname, '..');
+
+// Names owned by lib/layout.js — nobody else may declare their own copy
+const SHARED_NAMES = [
+  'GRID_LETTERS', 'WORDS', 'COLS', 'ROWS', 'SIZES', 'PITCH', 'CUTOUT',
+  'FRAME_BORDER', 'MOUNT_INSET', 'CORNER_RADIUS', 'WALL_THICKNESS',
+  'TAB_DEPTH', 'COL_SPLITS', 'ROW_SPLITS',
+];
+const REDECLARE = new RegExp(`\\b(?:const|let|var)\\s+(${SHARED_NAMES.join('|')})\\s*=(?!\\s*(?:layout|SIZE)\\b)`, 'g');
+
+const GENERATORS = [
+  'laser/generate-laser-files.js',
+  'laser/generate-backplate.js',
+  'laser/generate-frontplate-test.js',
+];
+
+const errors = [];
+
+function findRedeclarations(file, source) {
+  for (const m of source.matchAll(REDECLARE))
+    errors.push(`${file}: declares its own ${m[1]} — use lib/layout.js instead`);
+}
+
+// ============================================================
+// 1. The layout itself, with every language pack
+// ============================================================
+for (const pack of Object.values(phrasing.LANGUAGES))
+  for (const e of layout.checkLayout(pack)) errors.push(`lib/languages/${pack.code}.js: ${e}`);
+
+// ============================================================
+// 2. Simulator loads the shared layout
+// ============================================================
+{
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf-8');
+  const layoutTag = html.indexOf('<script src="lib/layout.js"></script>');
+  if (!html.includes('<script src="lib/phrasing.js"></script>')) errors.push('index.html: does not load lib/phrasing.js');
+  const inlineTag = html.search(/<script>/);
+  if (layoutTag < 0) errors.push('index.html: does not load lib/layout.js');
+  else if (inlineTag >= 0 && inlineTag < layoutTag) errors.push('index.html: inline script runs before lib/layout.js is loaded');
+  for (const [, script] of html.matchAll(/<script>([\s\S]*?)<\/script>/g))
+    findRedeclarations('index.html', script);
+}
+
+// ============================================================
+// 3. Generators load the shared layout
+// ============================================================
+for (const file of GENERATORS) {
+  const source = fs.readFileSync(path.join(ROOT, file), 'utf-8');
+  if (!source.includes("require('../lib/layout')")) errors.push(`${file}: does not require lib/layout.js`);
+  findRedeclarations(file, source);
+}
+
+// ============================================================
+// 4. Committed output files match what the generators produce now
+// ============================================================
+if (!errors.length) {
+  for (const file of GENERATORS) {
+    const gen = require(path.join(ROOT, file));
+    for (const { filename, content } of gen.buildFiles()) {
+      const target = path.join(gen.OUT_DIR, filename);
+      const rel = path.relative(ROOT, target);
+      if (!fs.existsSync(target)) errors.push(`${rel}: missing — run node ${file}`);
+      else if (!fs.readFileSync(target).equals(Buffer.from(content))) errors.push(`${rel}: out of date with lib/layout.js — run node ${file}`);
+    }
+  }
+}
+
+// ============================================================
+// REPORT
+// ============================================================
+if (errors.length) {
+  console.error(`✗ Layout check failed (${errors.length} problem${errors.length === 1 ? '' : 's'}):`);
+  errors.forEach(e => console.error(`  - ${e}`));
+  process.exit(1);
+}
+
+console.log(`✓ Layout consistent: ${Object.keys(phrasing.LANGUAGES).length} language packs, ` +
+  `${GENERATORS.length} generators and index.html share lib/layout.js, committed files up to date`);
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// check-libs.js — Focused checks of the pure functions in lib/ that are
+// easiest to break: the DST transition search, schedule fades across
+// midnight, message spelling, LED chain orders and the print split.
+// Exits non-zero on any failure. No dependencies required.
+// Run: node tools/check-libs.js
+
+const assert = require('assert');
+const layout = require('../lib/layout');
+const messages = require('../lib/messages');
+const phrasing = require('../lib/phrasing');
+const schedule = require('../lib/schedule');
+const timeSource = require('../lib/time-source');
+const wiring = require('../lib/wiring');
+
+const errors = [];
+let count = 0;
+
+function check(name, fn) {
+  count++;
+  try { fn(); } catch (e) {
+    const detail = ['strictEqual', 'deepStrictEqual'].includes(e.operator)
+      ? `got ${JSON.stringify(e.actual)}, expected ${JSON.stringify(e.expected)}`
+      : e.message.split('\n')[0];
+    errors.push(`${name}: ${detail}`);
+  }
+}
+
+const sv = phrasing.LANGUAGES.sv;
+const utc = (...args) => Date.UTC(...args);
+
+// ============================================================
+// 1. DST transitions (lib/time-source.js)
+// ============================================================
+check('transitions finds both Stockholm changes in 2026', () => {
+  const found = timeSource.transitions('Europe/Stockholm', utc(2026, 0, 1), utc(2027, 0, 1));
+  assert.deepStrictEqual(found, [
+    { at: utc(2026, 2, 29, 1), from: 60, to: 120 },
+    { at: utc(2026, 9, 25, 1), from: 120, to: 60 },
+  ]);
+});
+
+check('transitions is exact to the minute', () => {
+  const [{ at }] = timeSource.transitions('Europe/Stockholm', utc(2026, 2, 28, 12, 7), utc(2026, 2, 30));
+  assert.strictEqual(at, utc(2026, 2, 29, 1));
+  assert.strictEqual(timeSource.zoneOffset('Europe/Stockholm', at - 60000), 60);
+  assert.strictEqual(timeSource.zoneOffset('Europe/Stockholm', at), 120);
+});
+
+check('transitions starting on the transition minute', () => {
+  const found = timeSource.transitions('Europe/Stockholm', utc(2026, 2, 29, 1), utc(2026, 3, 1));
+  assert.deepStrictEqual(found, []);
+});
+
+check('nextTransition and previousTransition', () => {
+  const now = utc(2026, 5, 1);
+  assert.strictEqual(timeSource.nextTransition('Europe/Stockholm', now).at, utc(2026, 9, 25, 1));
+  assert.strictEqual(timeSource.previousTransition('Europe/Stockholm', now).at, utc(2026, 2, 29, 1));
+  assert.strictEqual(timeSource.nextTransition('UTC', now), null);
+});
+
+check('transitions south of the equator', () => {
+  const found = timeSource.transitions('Australia/Sydney', utc(2026, 0, 1), utc(2027, 0, 1));
+  assert.deepStrictEqual(found.map(t => [t.from, t.to]), [[660, 600], [600, 660]]);
+});
+
+// ============================================================
+// 2. Schedule fades across midnight (lib/schedule.js)
+// ============================================================
+const NIGHT = [
+  { minute: 7 * 60, brightness: 100, theme: 'day', source: '07:00' },
+  { minute: 23 * 60 + 50, brightness: 20, theme: 'night', source: '23:50' },
+];
+
+check('stateAt fades into the next day', () => {
+  assert.strictEqual(schedule.stateAt(NIGHT, 23 * 60 + 50, 30).brightness, 100);
+  assert.strictEqual(schedule.stateAt(NIGHT, 5, 30).brightness, 60);
+  assert.strictEqual(schedule.stateAt(NIGHT, 20, 30).brightness, 20);
+});
+
+check('stateAt before the first event uses last evening', () => {
+  const state = schedule.stateAt(NIGHT, 6 * 60, 30);
+  assert.strictEqual(state.brightness, 20);
+  assert.strictEqual(state.theme, 'night');
+  assert.strictEqual(state.event.source, '23:50');
+});
+
+check('stateAt fades up from the night level', () => {
+  assert.strictEqual(schedule.stateAt(NIGHT, 7 * 60 + 15, 30).brightness, 60);
+  assert.strictEqual(schedule.stateAt(NIGHT, 7 * 60 + 15, 30).theme, 'day');
+});
+
+check('stateAt holds the last named theme', () => {
+  const events = [
+    { minute: 0, brightness: 50, theme: 'night', source: '00:00' },
+    { minute: 600, brightness: 80, theme: null, source: '10:00' },
+  ];
+  assert.strictEqual(schedule.stateAt(events, 700).theme, 'night');
+  assert.deepStrictEqual(schedule.stateAt([], 700), { brightness: 100, theme: null, event: null });
+});
+
+// ============================================================
+// 3. Message spelling (lib/messages.js)
+// ============================================================
+check('spellPath spells a word in reading order', () => {
+  assert.deepStrictEqual(messages.spellPath(sv, ['HEJ']), [[8, 13, 23]]);
+  assert.deepStrictEqual(messages.spellPath(sv, []), []);
+});
+
+check('spellPath keeps words apart and in order', () => {
+  const path = messages.spellPath(sv, ['GOD', 'JUL']);
+  assert.deepStrictEqual(path, [[25, 26, 32], [86, 87, 100]]);
+  const cells = path.flat();
+  cells.forEach((cell, i) => { if (i) assert.ok(cell > cells[i - 1], `cell ${cell} after ${cells[i - 1]}`); });
+});
+
+check('spellPath returns null when the words don\'t fit in order', () => {
+  assert.strictEqual(messages.spellPath(sv, ['GOTT', 'NYTT', 'ÅR']), null);
+});
+
+check('spellMessage reports missing letters and order', () => {
+  assert.deepStrictEqual(messages.spellMessage(sv, 'Gott nytt år!').missing, [{ word: 'ÅR', reason: 'order' }]);
+  assert.deepStrictEqual(messages.spellMessage(sv, 'HEJ XYZ').missing, [{ word: 'XYZ', reason: 'letters' }]);
+  assert.throws(() => messages.spellMessage(sv, '!?'), /no letters/);
+});
+
+// ============================================================
+// 4. LED chain orders (lib/wiring.js)
+// ============================================================
+const cellsOf = map => map.chain.filter(led => led.type === 'cell').map(led => led.index);
+
+check('ledMap orders on a 3×2 grid', () => {
+  assert.deepStrictEqual(cellsOf(wiring.ledMap(3, 2)), [0, 1, 2, 5, 4, 3]);
+  assert.deepStrictEqual(cellsOf(wiring.ledMap(3, 2, { order: 'zigzag' })), [0, 1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(cellsOf(wiring.ledMap(3, 2, { order: 'columns' })), [0, 3, 4, 1, 2, 5]);
+});
+
+check('ledMap start corners', () => {
+  assert.deepStrictEqual(cellsOf(wiring.ledMap(3, 2, { start: 'top-right' })), [2, 1, 0, 3, 4, 5]);
+  assert.deepStrictEqual(cellsOf(wiring.ledMap(3, 2, { start: 'bottom-left' })), [3, 4, 5, 2, 1, 0]);
+  assert.deepStrictEqual(cellsOf(wiring.ledMap(3, 2, { start: 'bottom-right', order: 'columns' })), [5, 2, 1, 4, 3, 0]);
+});
+
+check('ledMap corner dot positions', () => {
+  assert.deepStrictEqual(wiring.ledMap(3, 2).dotToLed, [6, 7, 8, 9]);
+  const first = wiring.ledMap(3, 2, { dots: 'start' });
+  assert.deepStrictEqual(first.dotToLed, [0, 1, 2, 3]);
+  assert.strictEqual(first.cellToLed[0], 4);
+  const middle = wiring.ledMap(3, 2, { dots: 2 });
+  assert.deepStrictEqual(middle.dotToLed, [2, 3, 4, 5]);
+  assert.deepStrictEqual(middle.cellToLed, [0, 1, 6, 9, 8, 7]);
+  assert.strictEqual(middle.ledCount, 10);
+  assert.throws(() => wiring.ledMap(3, 2, { dots: 7 }), /start, end or 0–6/);
+  assert.throws(() => wiring.ledMap(3, 2, { order: 'spiral' }), /Unknown chain order/);
+});
+
+// ============================================================
+// 5. Print split (lib/layout.js)
+// ============================================================
+check('printPlan matches the committed 11×10 split', () => {
+  const plan = layout.printPlan(sv);
+  assert.deepStrictEqual([plan.cols, plan.rows], [layout.COL_SPLITS, layout.ROW_SPLITS]);
+  assert.deepStrictEqual([plan.cols, plan.rows], [[4, 4, 3], [4, 3, 3]]);
+});
+
+check('printPlan for other grids and beds', () => {
+  const plan = layout.printPlan({ cols: 12, rows: 11 });
+  assert.deepStrictEqual([plan.cols, plan.rows], [[4, 4, 4], [4, 4, 3]]);
+  const wide = layout.printPlan(sv, { bed: [400, 220] });
+  assert.strictEqual(wide.cols.reduce((a, b) => a + b, 0), 11);
+  assert.strictEqual(wide.rows.reduce((a, b) => a + b, 0), 10);
+  assert.ok(wide.cols.length * wide.rows.length < 9, 'a longer bed needs fewer sections');
+  assert.throws(() => layout.printPlan(sv, { bed: [40, 40] }), /does not fit/);
+  assert.throws(() => layout.printPlan(sv, { size: 'XL' }), /Unknown size/);
+});
+
+// ============================================================
+// REPORT
+// ============================================================
+if (errors.length) {
+  console.error(`✗ Library checks failed (${errors.length} of ${count}):`);
+  errors.forEach(e => console.error(`  - ${e}`));
+  process.exit(1);
+}
+
+console.log(`✓ Library checks passed: ${count} checks of time-source, schedule, messages, wiring and layout`);
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// design-layout.js — Auto-pack a language's words into a COLS×ROWS letter grid
+// Prints a preview plus GRID_LETTERS / WORDS source ready to paste into a
+// language pack in lib/languages/.
+// No dependencies required.
+//
+// Usage:
+//   node tools/design-layout.js [--lang sv] [--cols 11] [--rows 10]
+//                               [--extra GOD,NATT] [--filler ABC] [--seed 1]
+//   node tools/design-layout.js --spec my-layout.json
+//
+// A spec file holds { cols, rows, words: [...], phrases: [[...], ...], filler, seed }
+// where each phrase lists word keys in the order they must be read.
+
+const fs = require('fs');
+const phrasing = require('../lib/phrasing');
+const solver = require('../lib/layout-solver');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 ? process.argv[i + 1] : fallback;
+}
+
+function main() {
+  let result, label;
+  const specFile = arg('spec');
+
+  if (specFile) {
+    const spec = JSON.parse(fs.readFileSync(specFile, 'utf-8'));
+    result = solver.solve(spec);
+    label = specFile;
+  } else {
+    const pack = phrasing.getLanguage(arg('lang', phrasing.DEFAULT_LANGUAGE));
+    const cols = parseInt(arg('cols', pack.cols), 10);
+    const rows = parseInt(arg('rows', pack.rows), 10);
+    const extra = arg('extra');
+    result = solver.solvePack(pack, cols, rows, {
+      extraWords: extra ? extra.toUpperCase().split(',').filter(Boolean) : [],
+      filler: arg('filler'),
+      seed: parseInt(arg('seed', '1'), 10),
+    });
+    label = `${pack.name} (${pack.code})`;
+  }
+
+  const words = new Set(Object.values(result.words).flat());
+  console.log(`Word Clock Layout Designer — ${label}, ${result.cols}×${result.rows}`);
+  console.log('='.repeat(60) + '\n');
+  for (let r = 0; r < result.rows; r++) {
+    const row = [];
+    for (let c = 0; c < result.cols; c++) {
+      const i = r * result.cols + c;
+      row.push(words.has(i) ? result.letters[i] : result.letters[i].toLowerCase());
+    }
+    console.log('  ' + row.join(' '));
+  }
+  console.log(`\n${Object.keys(result.words).length} words, ${words.size} of ${result.letters.length} cells used ` +
+    '(UPPER = word, lower = filler)\n');
+  if (result.touching.length)
+    console.log(`! Words touch without a blank in row ${result.touching.map(r => r + 1).join(', ')} — they may read together; try a larger grid\n`);
+  console.log(solver.toSource(result));
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`✗ ${e.message}`);
+  process.exit(1);
+}
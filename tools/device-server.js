@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+// device-server.js — Stand-in for the physical clock
+// Accepts frames from the simulator's output panel (lib/output.js) over
+// WebSocket (ws://localhost:8765/ws) or HTTP POST (http://localhost:8765/frame),
+// logs each one and draws it as ASCII, mapped back to letters with the same
+// chain settings as the real panel. Lets you test the output path without
+// hardware. No dependencies required.
+//
+// Usage: node tools/device-server.js [--port 8765] [--lang sv]
+//                                    [--order snake] [--start top-left] [--dots end]
+
+const http = require('http');
+const crypto = require('crypto');
+const phrasing = require('../lib/phrasing');
+const wiring = require('../lib/wiring');
+const output = require('../lib/output');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 ? process.argv[i + 1] : fallback;
+}
+
+// ============================================================
+// ASCII PANEL
+// ============================================================
+
+// Lit letters (in their colour on a terminal), unlit cells as '·';
+// corner dots as ●/○ around the grid.
+function renderFrame(pack, map, colors) {
+  const tty = process.stdout.isTTY;
+  const lit = rgb => rgb.some(c => c > 0);
+  const paint = (text, rgb) => tty ? `\x1b[38;2;${rgb[0]};${rgb[1]};${rgb[2]}m${text}\x1b[0m` : text;
+  const dot = d => {
+    const rgb = colors[map.dotToLed[d]];
+    return lit(rgb) ? paint('●', rgb) : '○';
+  };
+  const inner = ' '.repeat(pack.cols * 2 - 1);
+  const lines = [`${dot(0)} ${inner} ${dot(1)}`];
+  for (let r = 0; r < pack.rows; r++) {
+    const row = [];
+    for (let c = 0; c < pack.cols; c++) {
+      const i = r * pack.cols + c;
+      const rgb = colors[map.cellToLed[i]];
+      row.push(lit(rgb) ? paint(pack.letters[i], rgb) : '·');
+    }
+    lines.push('  ' + row.join(' '));
+  }
+  lines.push(`${dot(3)} ${inner} ${dot(2)}`);
+  return lines.join('\n');
+}
+
+// ============================================================
+// WEBSOCKET (RFC 6455, server side, binary messages only)
+// ============================================================
+
+function acceptWebSocket(req, socket, onMessage) {
+  const accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + WS_GUID).digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+  let buffer = Buffer.alloc(0);
+  let message = [];
+  const send = (opcode, payload = Buffer.alloc(0)) => {
+    socket.write(Buffer.concat([Buffer.from([0x80 | opcode, payload.length]), payload]));
+  };
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const fin = buffer[0] & 0x80;
+      const opcode = buffer[0] & 0x0f;
+      const masked = buffer[1] & 0x80;
+      let length = buffer[1] & 0x7f;
+      let at = 2;
+      if (length === 126) { if (buffer.length < 4) return; length = buffer.readUInt16BE(2); at = 4; }
+      else if (length === 127) { if (buffer.length < 10) return; length = Number(buffer.readBigUInt64BE(2)); at = 10; }
+      const mask = masked ? buffer.subarray(at, at + 4) : null;
+      if (masked) at += 4;
+      if (buffer.length < at + length) return;
+      const payload = Buffer.from(buffer.subarray(at, at + length));
+      if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buffer = buffer.subarray(at + length);
+
+      if (opcode === 0x8) { send(0x8); socket.end(); return; }
+      if (opcode === 0x9) { send(0xa, payload); continue; }
+      if (opcode === 0xa) continue;
+      message.push(payload);
+      if (fin) { onMessage(Buffer.concat(message)); message = []; }
+    }
+  });
+  socket.on('error', () => socket.destroy());
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function main() {
+  const pack = phrasing.getLanguage(arg('lang', phrasing.DEFAULT_LANGUAGE));
+  const map = wiring.ledMap(pack.cols, pack.rows, {
+    order: arg('order', 'snake'), start: arg('start', 'top-left'), dots: arg('dots', 'end'),
+  });
+  const port = parseInt(arg('port', '8765'), 10);
+  let frames = 0;
+
+  function receive(bytes, via) {
+    let colors;
+    try {
+      colors = output.decodeFrame(bytes);
+      if (colors.length !== map.ledCount)
+        throw new Error(`Frame has ${colors.length} LEDs, this panel has ${map.ledCount} (check --lang/--dots)`);
+    } catch (e) {
+      console.log(`✗ ${via}: ${e.message}`);
+      return false;
+    }
+    frames++;
+    const lit = colors.filter(rgb => rgb.some(c => c > 0)).length;
+    console.log(`\n[${new Date().toLocaleTimeString()}] frame #${frames} via ${via}: ${colors.length} LEDs, ${lit} lit`);
+    console.log(renderFrame(pack, map, colors));
+    return true;
+  }
+
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+    if (req.method !== 'POST' || req.url !== '/frame') { res.writeHead(404); res.end(); return; }
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      res.writeHead(receive(Buffer.concat(chunks), 'HTTP') ? 204 : 400);
+      res.end();
+    });
+  });
+
+  server.on('upgrade', (req, socket) => {
+    if (req.url !== '/ws' || !req.headers['sec-websocket-key']) { socket.destroy(); return; }
+    console.log(`✓ WebSocket client connected (${req.socket.remoteAddress})`);
+    acceptWebSocket(req, socket, bytes => receive(bytes, 'WebSocket'));
+    socket.on('close', () => console.log('! WebSocket client disconnected'));
+  });
+
+  server.on('error', e => {
+    console.error(`✗ ${e.message}`);
+    process.exit(1);
+  });
+
+  server.listen(port, () => {
+    console.log('Word Clock Device Server');
+    console.log('========================\n');
+    console.log(`Panel: ${pack.name} (${pack.code}), ${map.ledCount} LEDs, ${map.order} from ${map.start}, ` +
+      `corner dots at ${map.dotToLed.join(',')}`);
+    console.log(`WebSocket: ws://localhost:${port}/ws`);
+    console.log(`HTTP:      POST http://localhost:${port}/frame`);
+    console.log('\nWaiting for frames (Ctrl+C to stop)…');
+  });
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`✗ ${e.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+// snapshot.js — Export the clock face as SVG, PNG or animated GIF
+// Renders a time in any theme from index.html (glow, corner dots, optional
+// manual toggles) with lib/snapshot.js, or all 288 five-minute states of the
+// day as a contact sheet or an animated GIF. For customer previews and visual
+// diffs after layout changes. No dependencies required.
+//
+// Usage:
+//   node tools/snapshot.js 16:25 [--theme arctic] [--lang sv] [--manual 0,1,2]
+//                                [--no-glow] [--scale 1] [--out face.svg|face.png]
+//   node tools/snapshot.js --sheet [--columns 12] [--out sheet.svg|sheet.png]
+//   node tools/snapshot.js --gif [--scale 0.5] [--delay 40] [--out day.gif]
+//
+// The format follows the --out extension. PNG and GIF use a built-in 5×7
+// pixel font; SVG uses the simulator's font.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const phrasing = require('../lib/phrasing');
+const snapshot = require('../lib/snapshot');
+const gif = require('../lib/gif');
+
+const INDEX_HTML = path.join(__dirname, '..', 'index.html');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 ? process.argv[i + 1] : fallback;
+}
+
+function flag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+// ============================================================
+// PNG (truecolour, no filtering)
+// ============================================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function encodePNG(rgb, width, height) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, 2, 0, 0, 0], 8); // 8-bit RGB
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width * 3 + 1)] = 0; // filter: none
+    raw.set(rgb.subarray(y * width * 3, (y + 1) * width * 3), y * (width * 3 + 1) + 1);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ============================================================
+// CONTACT SHEET (bitmap)
+// ============================================================
+
+function contactSheetPNG(pack, states, theme, columns, scale) {
+  const raster = snapshot.createRasterizer(pack, theme, { scale, glow: !flag('no-glow') });
+  const labelH = 14;
+  const tileW = raster.width, tileH = raster.height + labelH;
+  const width = columns * tileW, height = Math.ceil(states.length / columns) * tileH;
+  const bg = snapshot.parseCssColor(theme.bg), on = snapshot.parseCssColor(theme['cell-on']);
+  const sheet = new Uint8Array(width * height * 3);
+  for (let p = 0; p < width * height; p++) sheet.set([bg.r, bg.g, bg.b], p * 3);
+  states.forEach((state, n) => {
+    const face = raster.render(state);
+    const x0 = (n % columns) * tileW, y0 = Math.floor(n / columns) * tileH;
+    for (let y = 0; y < raster.height; y++)
+      sheet.set(face.subarray(y * tileW * 3, (y + 1) * tileW * 3), ((y0 + y) * width + x0) * 3);
+    const textW = state.time.length * 6 * 2;
+    snapshot.drawText(sheet, width, state.time, x0 + Math.round((tileW - textW) / 2), y0 + raster.height, 2, [on.r, on.g, on.b]);
+  });
+  return encodePNG(sheet, width, height);
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function main() {
+  const pack = phrasing.getLanguage(arg('lang', phrasing.DEFAULT_LANGUAGE));
+  const themes = snapshot.parseThemes(fs.readFileSync(INDEX_HTML, 'utf-8'));
+  const themeKey = arg('theme', 'warm');
+  const theme = themes[themeKey];
+  if (!theme) throw new Error(`Unknown theme "${themeKey}" (available: ${Object.keys(themes).join(', ')})`);
+  const glow = !flag('no-glow');
+
+  let out, data;
+  if (flag('gif')) {
+    out = arg('out', `wordclock-${pack.code}-${themeKey}.gif`);
+    const raster = snapshot.createRasterizer(pack, theme, { scale: parseFloat(arg('scale', '0.5')), glow });
+    const frames = snapshot.dayStates(pack).map(raster.render);
+    data = gif.encodeGIF(frames, raster.width, raster.height, { delay: parseInt(arg('delay', '40'), 10) });
+  } else if (flag('sheet')) {
+    out = arg('out', `wordclock-${pack.code}-${themeKey}-sheet.svg`);
+    const columns = parseInt(arg('columns', '12'), 10);
+    const states = snapshot.dayStates(pack);
+    data = out.endsWith('.png')
+      ? contactSheetPNG(pack, states, theme, columns, parseFloat(arg('scale', '0.25')))
+      : snapshot.contactSheetSVG(pack, states, theme, { columns, glow });
+  } else {
+    const time = process.argv[2];
+    const m = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!m || +m[1] > 23 || +m[2] > 59) throw new Error(`Expected a time like 16:25, got "${time || ''}"`);
+    const manual = (arg('manual', '') || '').split(',').filter(Boolean).map(Number);
+    if (manual.some(i => !Number.isInteger(i) || i < 0 || i >= pack.letters.length))
+      throw new Error(`--manual takes cell indices 0–${pack.letters.length - 1}`);
+    const state = snapshot.faceState(pack, +m[1], +m[2], manual);
+    out = arg('out', `wordclock-${pack.code}-${m[1].padStart(2, '0')}${m[2]}-${themeKey}.svg`);
+    if (out.endsWith('.png')) {
+      const raster = snapshot.createRasterizer(pack, theme, { scale: parseFloat(arg('scale', '1')), glow });
+      data = encodePNG(raster.render(state), raster.width, raster.height);
+    } else {
+      data = snapshot.renderSVG(pack, state, theme, { glow });
+    }
+  }
+
+  fs.writeFileSync(out, data);
+  console.log(`✓ ${out} (${(data.length / 1024).toFixed(1)} KB)`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`✗ ${e.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// validate-layout.js — Check that every minute of the day lights a readable phrase
+// Runs lib/layout-validator.js over all 1440 minutes for one or all language
+// packs and exits non-zero on any failure. Run it before ordering laser cuts.
+// No dependencies required.
+//
+// Usage: node tools/validate-layout.js [--lang sv] [--verbose]
+
+const phrasing = require('../lib/phrasing');
+const validator = require('../lib/layout-validator');
+
+const MAX_LISTED = 10; // failures listed per language unless --verbose
+
+const langArg = process.argv.indexOf('--lang');
+const verbose = process.argv.includes('--verbose');
+
+let codes;
+try {
+  codes = langArg >= 0 ? [phrasing.getLanguage(process.argv[langArg + 1]).code] : Object.keys(phrasing.LANGUAGES);
+} catch (e) {
+  console.error(`✗ ${e.message}`);
+  process.exit(1);
+}
+
+console.log('Word Clock Layout Validator');
+console.log('===========================\n');
+
+let failed = 0;
+for (const code of codes) {
+  const pack = phrasing.getLanguage(code);
+  const { minutes, failures } = validator.validatePack(pack);
+
+  if (!failures.length) {
+    console.log(`✓ ${pack.name} (${code})  ${minutes}/${minutes} minutes readable`);
+    continue;
+  }
+
+  failed++;
+  console.log(`✗ ${pack.name} (${code})  ${failures.length} of ${minutes} minutes fail`);
+  const listed = verbose ? failures : failures.slice(0, MAX_LISTED);
+  for (const { time, text, problems } of listed)
+    console.log(`    ${time}  ${text}\n      - ${problems.join('\n      - ')}`);
+  if (listed.length < failures.length)
+    console.log(`    … ${failures.length - listed.length} more (use --verbose)`);
+}
+
+if (failed) {
+  console.log(`\n${failed} language pack${failed === 1 ? '' : 's'} failed validation.`);
+  process.exit(1);
+}
+console.log('\nAll layouts valid.');
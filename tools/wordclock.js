@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+// wordclock.js — The word clock in the terminal
+// Renders any time with the same phrasing engine as the simulator
+// (lib/phrasing.js): the grid with lit letters highlighted, the phrase and the
+// corner dots, or JSON for scripted regression checks. Also generates the
+// time table in README.md and spells free-text messages from the grid
+// (lib/messages.js). No dependencies required.
+//
+// Usage:
+//   node tools/wordclock.js show 16:25 [--lang sv] [--json] [--no-color]
+//   node tools/wordclock.js range 00:00 23:59 [--step 5] [--grid] [--json]
+//   node tools/wordclock.js table [--hour 16] [--write]
+//   node tools/wordclock.js spell "GOD JUL" [--lang sv] [--json]
+//   node tools/wordclock.js words [--json]          (Swedish only, see lib/wordlists/)
+//
+// Without a terminal (or with --no-color) lit letters are UPPER and unlit
+// letters lower case.
+
+const fs = require('fs');
+const path = require('path');
+const phrasing = require('../lib/phrasing');
+const messages = require('../lib/messages');
+const layout = require('../lib/layout');
+
+const README = path.join(__dirname, '..', 'README.md');
+const TABLE_START = '<!-- time-table:start -->';
+const TABLE_END = '<!-- time-table:end -->';
+
+// Options that take a value, and on/off flags
+const VALUE_OPTIONS = ['lang', 'step', 'hour'];
+const FLAG_OPTIONS = ['json', 'no-color', 'grid', 'write'];
+
+// Flags first, wherever they stand; what is left are the command and its
+// times: { options, positionals }
+function parseArgs(argv) {
+  const options = {}, positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) { positionals.push(argv[i]); continue; }
+    const name = argv[i].slice(2);
+    if (FLAG_OPTIONS.includes(name)) { options[name] = true; continue; }
+    if (!VALUE_OPTIONS.includes(name))
+      throw new Error(`Unknown option --${name} (available: ${[...VALUE_OPTIONS, ...FLAG_OPTIONS].map(f => '--' + f).join(', ')})`);
+    const value = argv[++i];
+    if (value === undefined || value.startsWith('--')) throw new Error(`--${name} needs a value`);
+    options[name] = value;
+  }
+  return { options, positionals };
+}
+
+// 'HH:MM' → minutes since midnight
+function parseTime(text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+  if (!m || +m[1] > 23 || +m[2] > 59) throw new Error(`Expected a time like 16:25, got "${text || ''}"`);
+  return +m[1] * 60 + +m[2];
+}
+
+// ============================================================
+// STATE
+// ============================================================
+
+// Everything the clock shows at one minute
+function clockState(pack, hour, minute) {
+  return {
+    time: String(hour).padStart(2, '0') + ':' + String(minute).padStart(2, '0'),
+    lang: pack.code,
+    text: phrasing.getTimeText(pack, hour, minute),
+    words: phrasing.getWords(pack, hour, minute),
+    active: [...new Set(phrasing.getActiveIndices(pack, hour, minute))].sort((a, b) => a - b),
+    dots: phrasing.getCornerDots(minute),
+  };
+}
+
+// ============================================================
+// TERMINAL RENDERING
+// ============================================================
+
+function renderGrid(pack, state, color) {
+  const lit = new Set(state.active);
+  const letter = i => {
+    if (!color) return lit.has(i) ? pack.letters[i] : pack.letters[i].toLowerCase();
+    return lit.has(i) ? `\x1b[1;33m${pack.letters[i]}\x1b[0m` : `\x1b[2m${pack.letters[i]}\x1b[0m`;
+  };
+  // Corner dots in simulator order: top-left, top-right, bottom-right, bottom-left
+  const dot = d => d < state.dots ? (color ? '\x1b[1;33m●\x1b[0m' : '●') : '○';
+  const inner = ' '.repeat(pack.cols * 2 - 1);
+  const lines = [`${dot(0)} ${inner} ${dot(1)}`];
+  for (let r = 0; r < pack.rows; r++) {
+    const row = [];
+    for (let c = 0; c < pack.cols; c++) row.push(letter(r * pack.cols + c));
+    lines.push('  ' + row.join(' '));
+  }
+  lines.push(`${dot(3)} ${inner} ${dot(2)}`);
+  return lines.join('\n');
+}
+
+function dotStrip(state) {
+  return [0, 1, 2, 3].map(d => d < state.dots ? '●' : '○').join('');
+}
+
+// ============================================================
+// README TIME TABLE
+// ============================================================
+
+// One markdown row per 5-minute block of an hour. The words that change are
+// bold: the hour on the full hour, the minute words otherwise.
+function timeTable(pack, hour) {
+  const rows = [];
+  for (let minute = 0; minute < 60; minute += 5) {
+    const words = phrasing.getWords(pack, hour, minute);
+    const pattern = pack.minutes[minute / 5];
+    const prefix = words.slice(0, pack.prefix.length).map(layout.wordSpelling).join(' ');
+    const middle = words.slice(pack.prefix.length, pack.prefix.length + pattern.words.length).map(layout.wordSpelling).join(' ');
+    const hourWord = layout.wordSpelling(words[pack.prefix.length + pattern.words.length]);
+    const after = (pattern.after || []).map(layout.wordSpelling);
+    const display = minute === 0
+      ? [prefix, `**${hourWord}**`, ...after].filter(Boolean).join(' ')
+      : [`**${middle}**`, hourWord, ...after].join(' ');
+    rows.push([clockState(pack, hour, minute).time, display]);
+  }
+  const width = Math.max(31, ...rows.map(([, d]) => d.length));
+  return [
+    `| Time  | ${'Display'.padEnd(width)} |`,
+    `|-------|${'-'.repeat(width + 2)}|`,
+    ...rows.map(([time, display]) => `| ${time} | ${display.padEnd(width)} |`),
+  ].join('\n');
+}
+
+function writeTable(table) {
+  const text = fs.readFileSync(README, 'utf-8');
+  const start = text.indexOf(TABLE_START);
+  const end = text.indexOf(TABLE_END);
+  if (start < 0 || end < start) throw new Error(`README.md has no ${TABLE_START} … ${TABLE_END} markers`);
+  const updated = text.slice(0, start + TABLE_START.length) + '\n' + table + '\n' + text.slice(end);
+  if (updated === text) return false;
+  fs.writeFileSync(README, updated, 'utf-8');
+  return true;
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function main() {
+  const { options, positionals } = parseArgs(process.argv.slice(2));
+  const [command, from, to] = positionals;
+  const arg = (name, fallback) => options[name] !== undefined ? options[name] : fallback;
+  const flag = name => options[name] === true;
+  const pack = phrasing.getLanguage(arg('lang', phrasing.DEFAULT_LANGUAGE));
+  const json = flag('json');
+  const color = process.stdout.isTTY && !flag('no-color');
+
+  if (command === 'show') {
+    const t = parseTime(from);
+    const state = clockState(pack, Math.floor(t / 60), t % 60);
+    if (json) { console.log(JSON.stringify(state, null, 2)); return; }
+    console.log(`${state.time}  ${state.text}  ${dotStrip(state)}\n`);
+    console.log(renderGrid(pack, state, color));
+  } else if (command === 'range') {
+    const start = parseTime(from), end = parseTime(to);
+    const step = parseInt(arg('step', '1'), 10);
+    if (!(step > 0)) throw new Error('--step must be a positive number of minutes');
+    if (end < start) throw new Error(`Range ends (${to}) before it starts (${from})`);
+    const states = [];
+    for (let t = start; t <= end; t += step) states.push(clockState(pack, Math.floor(t / 60), t % 60));
+    if (json) { console.log(JSON.stringify(states, null, 2)); return; }
+    for (const state of states) {
+      console.log(`${state.time}  ${dotStrip(state)}  ${state.text}`);
+      if (flag('grid')) console.log(renderGrid(pack, state, color) + '\n');
+    }
+  } else if (command === 'table') {
+    const hour = arg('hour', '16');
+    if (!/^\d{1,2}$/.test(hour) || +hour > 23) throw new Error(`--hour must be 0–23, got "${hour}"`);
+    const table = timeTable(pack, +hour);
+    if (!flag('write')) { console.log(table); return; }
+    if (pack.code !== phrasing.DEFAULT_LANGUAGE)
+      throw new Error(`README.md holds the ${phrasing.DEFAULT_LANGUAGE} time table only; print the ${pack.code} table without --write`);
+    console.log(writeTable(table) ? '✓ README.md time table updated' : '✓ README.md time table already up to date');
+  } else if (command === 'spell') {
+    const result = messages.spellMessage(pack, from || '');
+    if (json) { console.log(JSON.stringify(result, null, 2)); return; }
+    if (result.placed.length) console.log(renderGrid(pack, { active: result.indices, dots: 0 }, color) + '\n');
+    result.placed.forEach(({ word, indices }) => console.log(`✓ ${word}  (cells ${indices.join(', ')})`));
+    result.missing.forEach(({ word, reason }) => console.log(reason === 'letters'
+      ? `✗ ${word}  — the grid lacks these letters in reading order`
+      : `✗ ${word}  — fits alone, but not after the words before it`));
+    if (result.missing.length) process.exitCode = 1;
+  } else if (command === 'words') {
+    if (!messages.WORD_LISTS[pack.code])
+      throw new Error(`Usage: wordclock.js words [--lang ${Object.keys(messages.WORD_LISTS).join('|')}] — there is no ${pack.code} word list ` +
+        `in lib/wordlists/; use "spell TEXT --lang ${pack.code}" to check single words`);
+    const { spellable, unspellable } = messages.spellableWords(pack);
+    if (json) { console.log(JSON.stringify({ spellable, unspellable }, null, 2)); return; }
+    console.log(spellable.join(' '));
+    console.log(`\n✓ ${spellable.length} of ${spellable.length + unspellable.length} words in the ${pack.code} word list can be spelled`);
+  } else {
+    throw new Error('Usage: wordclock.js show HH:MM | range HH:MM HH:MM [--step n] | table [--hour h] [--write] | spell TEXT | words');
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`✗ ${e.message}`);
+  process.exit(1);
+}